@@ -10,26 +10,44 @@
 const env = require('dotenv').config();
 
 const etcd = require('etcd3');
+const cockatiel = require('cockatiel');
 const short = require('short-uuid');
+const yaml = require('yaml');
 const colours = require('colors');
 const http = require('http');
 const https = require('https');
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const url = require('url');
 
+const schema = require('./schema');
 const pack = require('./package.json');
 
 // Errors
 
 const E_OPTION = 'Illegal option';
+const E_POLICY = 'Illegal policy';
+const E_LEVEL = 'Illegal log level';
+const E_FORMAT = 'Illegal log format';
 const E_MISSING = 'Missing argument';
 const E_CONFIG = 'Not configured';
 const E_CONNECT = 'Not connected';
+const E_TLS = 'Insecure connection';
 const E_FOUND = 'Not found';
+const E_PROPERTY = 'Undefined property';
+const E_PROFILE = 'Invalid profile';
 const E_WATCH = 'Failed to watch';
 const E_ALL = 'Failed to get all';
 const E_GET = 'Failed to get';
 const E_PUT = 'Failed to put';
 const E_DEL = 'Failed to del';
 const E_PURGE = 'Failed to purge';
+const E_COMMIT = 'Failed to commit';
+const E_ELECT = 'Failed to elect';
+const E_EVENT = 'Invalid event';
+const E_SETTLE = 'Failed to settle';
+const E_SETTINGS = 'Invalid config';
 
 // Defaults
 
@@ -38,8 +56,26 @@ const defaults = {
   port: '2379',
   username: '',
   password: '',
+  ca: '',
+  cert: '',
+  key: '',
   profiles: 'https://cp.padi.io/profiles',
-  connect_timeout: '10000'
+  profiles_ttl: '3600',
+  profiles_retry: '5',
+  fallback: '',
+  policy: 'balanced',
+  election: '',
+  election_ttl: '10',
+  admin: '',
+  connect_timeout: '10000',
+  debounce: '1000',
+  write_batch: '100',
+  write_rate: '1000',
+  metadata: 'no',
+  status: 'no',
+  config_file: '',
+  log_level: 'info',
+  log_format: 'text'
 };
 
 // Configuration
@@ -49,26 +85,198 @@ const config = {
   port: process.env.CNS_PORT || defaults.port,
   username: process.env.CNS_USERNAME || defaults.username,
   password: process.env.CNS_PASSWORD || defaults.password,
+  ca: process.env.CNS_CA || defaults.ca,
+  cert: process.env.CNS_CERT || defaults.cert,
+  key: process.env.CNS_KEY || defaults.key,
   profiles: process.env.CNS_PROFILES || defaults.profiles,
-  connect_timeout: parseInt(process.env.CONNECT_TIMEOUT || defaults.connect_timeout)
+  profiles_ttl: parseInt(process.env.CNS_PROFILES_TTL || defaults.profiles_ttl),
+  profiles_retry: parseInt(process.env.CNS_PROFILES_RETRY || defaults.profiles_retry),
+  fallback: process.env.CNS_FALLBACK || defaults.fallback,
+  policy: process.env.CNS_POLICY || defaults.policy,
+  election: process.env.CNS_ELECTION || defaults.election,
+  election_ttl: parseInt(process.env.CNS_ELECTION_TTL || defaults.election_ttl),
+  admin: process.env.CNS_ADMIN || defaults.admin,
+  connect_timeout: parseInt(process.env.CONNECT_TIMEOUT || defaults.connect_timeout),
+  debounce: parseInt(process.env.CNS_DEBOUNCE || defaults.debounce),
+  write_batch: parseInt(process.env.CNS_WRITE_BATCH || defaults.write_batch),
+  write_rate: parseInt(process.env.CNS_WRITE_RATE || defaults.write_rate),
+  metadata: process.env.CNS_METADATA || defaults.metadata,
+  status: process.env.CNS_STATUS || defaults.status,
+  config_file: process.env.CNS_CONFIG || defaults.config_file,
+  log_level: process.env.CNS_LOG_LEVEL || defaults.log_level,
+  log_format: process.env.CNS_LOG_FORMAT || defaults.log_format,
+  networks: {}
 };
 
+// Before config file
+
+const environment = Object.assign({}, config);
+
+// Config file settings
+
+const SETTINGS = {
+  host: 'hosts',
+  port: 'string',
+  username: 'string',
+  password: 'string',
+  ca: 'string',
+  cert: 'string',
+  key: 'string',
+  profiles: 'string',
+  profiles_ttl: 'number',
+  profiles_retry: 'number',
+  fallback: 'string',
+  policy: 'policy',
+  election: 'string',
+  election_ttl: 'number',
+  admin: 'string',
+  connect_timeout: 'number',
+  debounce: 'number',
+  write_batch: 'number',
+  write_rate: 'number',
+  metadata: 'flag',
+  status: 'flag',
+  log_level: 'level',
+  log_format: 'format',
+  networks: 'networks'
+};
+
+// Applied on reload
+
+const RELOADABLE = ['log_level', 'profiles', 'fallback', 'debounce', 'write_batch', 'write_rate', 'metadata', 'status'];
+
+// Log levels
+
+const LEVELS = ['error', 'warn', 'info', 'debug', 'trace'];
+
+const COLOURS = {
+  error: 'red',
+  warn: 'yellow',
+  info: 'green',
+  debug: 'magenta',
+  trace: 'grey'
+};
+
+// Log formats
+
+const FORMATS = ['text', 'json'];
+
+// Oscillation detection
+
+const OSCILLATION_WINDOW = 10000;
+const OSCILLATION_FLIPS = 3;
+
 // Options
 
 const options = {
-  silent: false,
-  debug: false
+  dryrun: false,
+  plan: false,
+  json: false,
+  simulate: undefined,
+  events: undefined,
+  output: undefined
+};
+
+// Orchestrator modes
+
+const modes = {
+  allsystems: {
+    consumers: allsystems,
+    global: true
+  },
+  bysystem: {
+    consumers: bysystem
+  },
+  bynode: {
+    consumers: bynode
+  },
+  onetoone: {
+    consumers: bysystem,
+    select: onetoone
+  },
+  manual: {
+    consumers: null,
+    keep: true
+  }
+};
+
+// Selection policies
+
+const policies = {
+  first: first,
+  balanced: balanced
+};
+
+// Metrics
+
+const METRICS = {
+  cns_orchestrator_events_total: ['counter', 'Watch events handled'],
+  cns_orchestrator_builds_total: ['counter', 'Connection builds run'],
+  cns_orchestrator_build_errors_total: ['counter', 'Connection builds failed'],
+  cns_orchestrator_build_duration_seconds: ['summary', 'Connection build duration'],
+  cns_orchestrator_connections_created_total: ['counter', 'Connections created'],
+  cns_orchestrator_connections_removed_total: ['counter', 'Connections removed'],
+  cns_orchestrator_writes_total: ['counter', 'Connection property writes'],
+  cns_orchestrator_writes_coalesced_total: ['counter', 'Queued writes replaced by a newer value'],
+  cns_orchestrator_write_batches_total: ['counter', 'Write batches committed'],
+  cns_orchestrator_write_queue_depth: ['gauge', 'Writes waiting in the queue'],
+  cns_orchestrator_writes_skipped_total: ['counter', 'Writes skipped as the key already holds the value'],
+  cns_orchestrator_echoes_total: ['counter', 'Own writes ignored by the watcher'],
+  cns_orchestrator_oscillations_total: ['counter', 'Connection properties found bouncing between values'],
+  cns_orchestrator_profile_fetches_total: ['counter', 'Profile fetches'],
+  cns_orchestrator_profile_fetch_duration_seconds: ['summary', 'Profile fetch duration'],
+  cns_orchestrator_etcd_errors_total: ['counter', 'Etcd operation errors'],
+  cns_orchestrator_cache_keys: ['gauge', 'Cached keys'],
+  cns_orchestrator_endpoint_up: ['gauge', 'Etcd endpoint available']
 };
 
+const metrics = {};
+
 // Local data
 
+const identity = os.hostname() + '-' + process.pid;
+
 var client;
 var watcher;
 
-var profiles;
+var endpoint;
+var endpoints;
+
+var election;
+var candidate;
+var observer;
+var leader;
+
+var profiles = {};
 var cache;
+var model;
+
+var revision;
 
 var timer;
+var reporter;
+var building;
+var dirty;
+
+var monitor;
+var server;
+
+var built;
+var planned;
+
+var queue = {};
+var flushing;
+var paced = 0;
+
+var echoes = {};
+var history = {};
+
+var memory;
+var changes;
+var requested;
+
+var cli;
+var loaded;
 
 // Local functions
 
@@ -76,14 +284,68 @@ var timer;
 async function main(argv) {
   try {
     // Parse options
+    cli = argv.slice();
     parse(argv);
 
+    // Config file?
+    if (config.config_file !== '') {
+      loaded = await loadConfig(config.config_file);
+      configure(loaded, Object.keys(SETTINGS));
+
+      // Options override file
+      parse(cli.slice());
+    }
+
+    // Plan output only
+    if (options.plan && options.json) config.log_level = 'error';
+
+    // Simulation output only
+    if (options.simulate !== undefined && options.output === undefined) config.log_level = 'error';
+
+    // Check log settings
+    if (!LEVELS.includes(config.log_level))
+      throw new Error(E_LEVEL + ': ' + config.log_level);
+
+    if (!FORMATS.includes(config.log_format))
+      throw new Error(E_FORMAT + ': ' + config.log_format);
+
+    // Check selection policy
+    if (policies[config.policy] === undefined)
+      throw new Error(E_POLICY + ': ' + config.policy);
+
+    // Election keys would hide network named election?
+    if (['name', 'orchestrator', 'nodes'].includes(config.election))
+      throw new Error(E_ELECT + ': ' + config.election + ' clashes with network election');
+
     // Show welcome
     print('Welcome to CNS-Orchestrator v' + pack.version + '.');
 
+    // Offline simulation?
+    if (options.simulate !== undefined) {
+      await simulate();
+      await exit(0);
+      return;
+    }
+
+    // Start admin server
+    if (!options.plan) serve();
+
+    // Watch profile directory
+    watchProfiles();
+
     // Connect to key store
     await connect();
 
+    // One shot plan?
+    if (options.plan) {
+      await plan();
+      await exit(0);
+      return;
+    }
+
+    // Campaign for leader
+    await campaign();
+
     // Initial rebuild
     rebuild();
   } catch(e) {
@@ -95,18 +357,35 @@ async function main(argv) {
 
 // Show usage
 function usage() {
-  print('Usage: cns-orchestrator [options]\n');
+  print('Usage: cns-orchestrator [options] [plan | simulate <snapshot> [events]]\n');
+
+  print('Commands:');
+  print('  plan                          Show what a build would change and exit');
+  print('  simulate                      Replay events against a key snapshot and dump the result\n');
 
   print('Options:');
   print('  -h, --help                    Output usage information');
   print('  -v, --version                 Output version information');
-  print('  -H, --host                    Set network host');
+  print('  -f, --config                  Set config file (JSON or YAML)');
+  print('  -H, --host                    Set network hosts (comma separated)');
   print('  -P, --port                    Set network port');
   print('  -u, --username                Set network username');
   print('  -p, --password                Set network password');
-  print('  -R, --profiles                Set profile server');
+  print('  -C, --ca                      Set network CA certificate file');
+  print('  -c, --cert                    Set network client certificate file');
+  print('  -k, --key                     Set network client key file');
+  print('  -R, --profiles                Set profile server or directory');
+  print('  -F, --fallback                Set profile fallback directory or etcd:prefix');
+  print('  -S, --policy                  Set onetoone selection policy');
+  print('  -E, --election                Set leader election name');
+  print('  -A, --admin                   Set admin server port');
+  print('  -n, --dry-run                 Report changes instead of writing them');
+  print('  -j, --json                    Report changes as JSON');
+  print('  -o, --output                  Set simulation output file');
   print('  -m, --monochrome              Disable console colours');
-  print('  -s, --silent                  Disable console output');
+  print('  -l, --log-level               Set log level (error, warn, info, debug, trace)');
+  print('  -L, --log-format              Set log format (text, json)');
+  print('  -s, --silent                  Only log errors');
   print('  -d, --debug                   Enable debug output\n');
 }
 
@@ -136,6 +415,11 @@ function parse(args) {
         version();
         exit();
         break;
+      case '-f':
+      case '--config':
+        // Config file
+        config.config_file = next(arg, args);
+        break;
       case '-H':
       case '--host':
         // Network host
@@ -156,25 +440,98 @@ function parse(args) {
         // Network password
         config.password = next(arg, args);
         break;
+      case '-C':
+      case '--ca':
+        // Network CA
+        config.ca = next(arg, args);
+        break;
+      case '-c':
+      case '--cert':
+        // Client certificate
+        config.cert = next(arg, args);
+        break;
+      case '-k':
+      case '--key':
+        // Client key
+        config.key = next(arg, args);
+        break;
       case '-R':
       case '--profiles':
         // Profile server
         config.profiles = next(arg, args);
         break;
+      case '-F':
+      case '--fallback':
+        // Profile fallback
+        config.fallback = next(arg, args);
+        break;
+      case '-S':
+      case '--policy':
+        // Selection policy
+        config.policy = next(arg, args);
+        break;
+      case '-E':
+      case '--election':
+        // Leader election
+        config.election = next(arg, args);
+        break;
+      case '-A':
+      case '--admin':
+        // Admin port
+        config.admin = next(arg, args);
+        break;
+      case 'plan':
+        // Plan command
+        options.plan = true;
+        options.dryrun = true;
+        break;
+      case 'simulate':
+        // Simulate command
+        options.simulate = next(arg, args);
+
+        // Optional events file
+        if (args.length > 0 && !args[0].startsWith('-'))
+          options.events = args.shift();
+        break;
+      case '-o':
+      case '--output':
+        // Simulation output
+        options.output = next(arg, args);
+        break;
+      case '-n':
+      case '--dry-run':
+        // Dry run mode
+        options.dryrun = true;
+        break;
+      case '-j':
+      case '--json':
+        // JSON reports
+        options.json = true;
+        break;
       case '-m':
       case '--monochrome':
         // No colour mode
         colours.disable();
         break;
+      case '-l':
+      case '--log-level':
+        // Log level
+        config.log_level = next(arg, args);
+        break;
+      case '-L':
+      case '--log-format':
+        // Log format
+        config.log_format = next(arg, args);
+        break;
       case '-s':
       case '--silent':
         // Silent mode
-        options.silent = true;
+        config.log_level = 'error';
         break;
       case '-d':
       case '--debug':
         // Debug mode
-        options.debug = true;
+        config.log_level = 'debug';
         break;
       default:
         // Bad option
@@ -197,19 +554,25 @@ async function connect() {
   // Disconnect previous
   await disconnect();
 
-  const host = config.host;
-  const port = config.port;
-
-  if (!host) throw new Error(E_CONFIG);
+  const hosts = getHosts();
 
   const username = config.username;
   const password = config.password;
 
   // Client options
   const options = {
-    hosts: host + (port?(':' + port):'')
+    hosts: hosts,
+    faultHandling: {
+      host: track
+    }
   };
 
+  endpoint = undefined;
+  endpoints = {};
+
+  for (const host of hosts)
+    endpoints[host] = true;
+
   // Using auth?
   if (username !== '') {
     options.auth = {
@@ -218,6 +581,10 @@ async function connect() {
     };
   }
 
+  // Using TLS?
+  const credentials = await getCredentials(hosts);
+  if (credentials !== undefined) options.credentials = credentials;
+
    // Create client
   debug('Connecting...');
   client = new etcd.Etcd3(options);
@@ -229,193 +596,486 @@ async function connect() {
   // Get cache
   debug('Caching...');
   cache = await Promise.race([all('cns'), timeout]);
+  reindex();
 
   // Create watcher
   debug('Watching...');
-  watcher = await Promise.race([watch('cns'), timeout]);
+  await Promise.race([follow(revision + 1), timeout]);
+
+  // Success
+  print('Network on ' + (username?(username + '@'):'') + endpoint +
+    ((hosts.length > 1)?(' (' + hosts.length + ' endpoints)'):''));
+}
+
+// Get etcd endpoints
+function getHosts() {
+  const hosts = [];
+
+  // Comma separated list
+  for (const item of (config.host || '').split(',')) {
+    const host = item.trim().replace(/\/+$/, '');
+    if (host === '') continue;
+
+    // Add default port?
+    const decode = new URL(host.includes('://')?host:('http://' + host));
+    hosts.push((decode.port === '' && config.port)?(host + ':' + config.port):host);
+  }
+
+  if (hosts.length === 0) throw new Error(E_CONFIG);
+
+  // Cannot mix schemes
+  const secure = hosts.filter((host) => host.startsWith('https://'));
+
+  if (secure.length !== 0 && secure.length !== hosts.length)
+    throw new Error(E_TLS + ': cannot mix https and http hosts in ' + hosts.join(', '));
+
+  return hosts;
+}
+
+// Track endpoint health
+function track(host) {
+  // Same breaker as etcd3 default
+  const breaker = cockatiel.circuitBreaker(cockatiel.handleWhen(etcd.isRecoverableError), {
+    halfOpenAfter: 5000,
+    breaker: new cockatiel.ConsecutiveBreaker(3)
+  });
+
+  breaker.onBreak(() => {
+    if (endpoints[host] === undefined) return;
+
+    warn('Endpoint ' + host + ' unavailable');
+    endpoints[host] = false;
+  });
+
+  breaker.onReset(() => {
+    if (endpoints[host] === undefined) return;
+
+    print('Endpoint ' + host + ' available');
+    endpoints[host] = true;
+  });
+
+  return {
+    execute: async (fn, signal) => {
+      const result = await breaker.execute(fn, signal);
+
+      // Last endpoint to answer
+      endpoint = host;
+      return result;
+    }
+  };
+}
+
+// Get TLS credentials
+async function getCredentials(hosts) {
+  const ca = config.ca;
+  const cert = config.cert;
+  const key = config.key;
+
+  // Not using TLS?
+  if (ca === '' && cert === '' && key === '') return undefined;
+
+  // Must be secure hosts
+  for (const host of hosts) {
+    if (!host.startsWith('https://'))
+      throw new Error(E_TLS + ': TLS files need an https host, not ' + host);
+  }
+
+  // Client cert needs key
+  if ((cert === '') !== (key === ''))
+    throw new Error(E_TLS + ': client certificate and key must be set together');
+
+  // Read file
+  const read = async (file) => {
+    if (file === '') return null;
+
+    return await fs.promises.readFile(file)
+      .catch((e) => {
+        // Failure
+        throw new Error(E_TLS + ': ' + e.message);
+      });
+  };
+
+  return {
+    rootCertificate: await read(ca),
+    certChain: await read(cert),
+    privateKey: await read(key)
+  };
+}
+
+// Watch from revision
+async function follow(start) {
+  const current = await watch('cns', start);
+
+  var lost = false;
+  watcher = current;
 
   // Bind handlers
-  watcher.on('connected', () => {
+  current.on('connected', () => {
     // Re-connect
-    debug('Connected...');
+    if (lost) print('Reconnected.');
+    lost = false;
   })
   .on('put', async (change) => {
     // Key put
+    measure('cns_orchestrator_events_total', {type: 'put'});
+    revision = Number(change.mod_revision);
+
+    const key = change.key.toString();
+
     try {
-      const key = change.key.toString();
       const value = change.value.toString();
 
       await onput(key, value);
     } catch(e) {
       // Failure
-      error(e);
+      error(e, key);
     }
   })
   .on('delete', async (change) => {
     // Key deleted
+    measure('cns_orchestrator_events_total', {type: 'delete'});
+    revision = Number(change.mod_revision);
+
+    const key = change.key.toString();
+
     try {
-      const key = change.key.toString();
       const value = cache[key];
 
       await ondelete(key, value);
     } catch(e) {
       // Failure
-      error(e);
+      error(e, key);
     }
   })
   .on('disconnected', () => {
-    // Broken connection
-    debug('Disconnected...');
+    // Broken connection, client retries
+    if (!lost) warn('Disconnected, reconnecting...');
+    lost = true;
   })
   .on('error', (e) => {
+    // Old watcher?
+    if (current !== watcher) return;
+
     // Failure
-    throw new Error(E_WATCH + ': ' + e.message);
+    error(new Error(E_WATCH + ': ' + e.message));
+    recover(isCompacted(e));
   });
+}
 
-  // Success
-  print('Network on ' + (username?(username + '@'):'') + host);
+// Recover lost watcher
+async function recover(compacted) {
+  // Drop failed watcher, already detached by etcd
+  watcher = undefined;
+
+  // Retry with backoff
+  for (var delay = 1000; client !== undefined; delay = Math.min(delay * 2, 30000)) {
+    try {
+      // Resume or start over?
+      if (compacted) await resync();
+      else await follow(revision + 1);
+
+      print('Watching from revision ' + (revision + 1) + '.');
+      return;
+    } catch(e) {
+      // Failure
+      error(e);
+
+      compacted = compacted || isCompacted(e);
+      debug('Retrying in ' + delay + 'ms...');
+
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// Resync cache
+async function resync() {
+  print('Resyncing...');
+
+  // Missed events
+  echoes = {};
+
+  // Reload keys
+  const previous = cache;
+  const current = await all('cns');
+
+  // Replay missed changes
+  for (const key in previous) {
+    if (current[key] === undefined)
+      await ondelete(key, previous[key]).catch(error);
+  }
+
+  for (const key in current) {
+    if (current[key] !== previous[key])
+      await onput(key, current[key]).catch(error);
+  }
+
+  // Watch after reload
+  await follow(revision + 1);
+  rebuild();
+}
+
+// Is compaction error
+function isCompacted(e) {
+  return /compact/i.test(e.message);
+}
+
+// Campaign for leader
+async function campaign() {
+  // No election or dry run?
+  if (config.election === '' || options.dryrun) {
+    leader = true;
+    return;
+  }
+
+  debug('Campaigning...');
+
+  // Elect under network root
+  election = client.namespace('cns/').election(config.election, config.election_ttl);
+
+  // Observe leader
+  observer = await election.observe()
+    .catch((e) => {
+      // Failure
+      throw new Error(E_ELECT + ': ' + e.message);
+    });
+
+  observer.on('change', (value) => {
+    // Leader changed
+    print('Leader is ' + (value || 'none'));
+  })
+  .on('error', (e) => {
+    // Failure
+    error(new Error(E_ELECT + ': ' + e.message));
+  });
+
+  // Join election
+  elect();
+}
+
+// Join election
+function elect() {
+  leader = false;
+
+  candidate = election.campaign(identity);
+
+  candidate.on('elected', () => {
+    // Now leader
+    print('Elected leader ' + identity);
+
+    leader = true;
+    rebuild();
+
+    // Catch up on missed updates
+    remirror().catch(error);
+  })
+  .on('error', (e) => {
+    // Lease lost
+    if (leader) warn('Lost leadership ' + identity);
+
+    leader = false;
+    cancel();
+
+    // Leave writes to new leader
+    queue = {};
+
+    error(new Error(E_ELECT + ': ' + e.message));
+
+    // Campaign again
+    setTimeout(() => {
+      if (election !== undefined) elect();
+    }, config.election_ttl * 1000);
+  });
+}
+
+// Is key under own election
+function isElection(key) {
+  return config.election !== '' && key.startsWith('cns/' + etcd.Election.prefix + '/' + config.election + '/');
 }
 
 // Key has changed
 async function onput(key, value) {
-//  debug('PUT ' + key + ' = ' + value);
+  trace('Put ' + key + ' = ' + value, key);
 
-  // Split key
-  const parts = key.split('/');
-
-  const root = parts[0];
-  const network = parts[1];
-  const property = parts[2];
-  const role = parts[6];
-  const capability = parts[8];
-  const connection = parts[10];
+  // Parse key
+  const parsed = schema.parse(key);
 
   // Outside scope?
-  if (root !== 'cns' || network === undefined) return;
+  if (parsed === null || isElection(key)) return;
 
   // Update cache
   cache[key] = value;
+  index(key, value);
+
+  // Own write?
+  const echo = isEcho(key, value);
+
+  // Standby?
+  if (!leader) return;
 
-  // What network property?
-  switch (property) {
+  // What changed?
+  switch (parsed.kind) {
+    case 'networkName':
+    case 'nodeName':
+    case 'contextName':
+      // Named so may connect
+      rebuild(parsed.network);
+      break;
     case 'orchestrator':
       // Orchestrator changed
-// remove all connections?
-      rebuild();
+      rebuild(parsed.network);
       break;
-    case 'nodes':
-      // Node changed
-      switch (role) {
-        case 'provider':
-        case 'consumer':
-          // Capability changed
-          switch (capability) {
-            case 'version':
-            case 'scope':
-              // Version or scope
-// remove profile connections?
-              rebuild();
-              break;
-            case 'connections':
-              // Connections
-              switch (connection) {
-                case 'properties':
-                  // Connection properties
-                  await update(key, value);
-                  break;
-              }
-              break;
-            case 'properties':
-              // Capability properties
-              await propagate(key, value);
-              break;
-          }
-          break;
-      }
+    case 'version':
+    case 'scope':
+      // Capability version or scope
+      rebuild(parsed.network, parsed.profile);
+      break;
+    case 'connectionProperty':
+      // Values bouncing?
+      oscillates(key, value);
+
+      // Own write?
+      if (echo) break;
+
+      // Connection properties
+      await update(key, value);
+      break;
+    case 'capabilityProperty':
+      // Capability properties
+      await propagate(key, value);
+
+      // Completes pending connection?
+      if (isPending(parsed.prefix.capability)) rebuild(parsed.network, parsed.profile);
       break;
   }
 }
 
 // Key is deleted
 async function ondelete(key, value) {
-//  debug('DEL ' + key, value);
+  trace('Delete ' + key, key);
 
-  // Split key
-  const parts = key.split('/');
-
-  const root = parts[0];
-  const network = parts[1];
-  const property = parts[2];
-  const role = parts[6];
-  const profile = parts[7];
-  const capability = parts[8];
-  const connection = parts[9];
-  const other = parts[10];
+  // Parse key
+  const parsed = schema.parse(key);
 
   // Outside scope?
-  if (root !== 'cns' || network === undefined) return;
+  if (parsed === null || isElection(key)) return;
 
   // Update cache
   delete cache[key];
+  unindex(key);
 
-// capability delete
+  delete echoes[key];
+  delete history[key];
 
-  // What network property?
-  switch (property) {
+  // Standby?
+  if (!leader) return;
+
+  // What was deleted?
+  switch (parsed.kind) {
+    case 'networkName':
+      // Network deleted
+      await teardown(parsed.prefix.network);
+      rebuild(parsed.network);
+      break;
     case 'orchestrator':
-      // Orchestrator deleted
-// remove all connections?
+      // Orchestrator deleted, connections kept as in manual
+      rebuild(parsed.network);
       break;
-    case 'nodes':
-      switch (role) {
-        case 'provider':
-        case 'consumer':
-          // Capability
-          switch (capability) {
-            case 'version':
-              // Capability deleted
-//            case 'scope':
-//              rebuild();
-              break;
-            case 'connections':
-              // Other role
-              switch (other) {
-                case 'provider':
-                case 'consumer':
-                  // Role deleted
-                  purge(value + '/' + other + '/' + profile + '/connections/' + connection);
-                  break;
-              }
-              // Connection deleted
-//              rebuild();
-              break;
-          }
-          break;
+    case 'nodeName':
+      // Node deleted
+      await teardown(parsed.prefix.node);
+      rebuild(parsed.network);
+      break;
+    case 'contextName':
+      // Context deleted
+      await teardown(parsed.prefix.context);
+      rebuild(parsed.network);
+      break;
+    case 'version':
+      // Capability deleted
+      await teardown(parsed.prefix.capability);
+      rebuild(parsed.network, parsed.profile);
+      break;
+    case 'scope':
+      // Scope deleted
+      rebuild(parsed.network, parsed.profile);
+      break;
+    case 'capabilityProperty':
+      // Required property may be gone
+      rebuild(parsed.network, parsed.profile);
+      break;
+    case 'end':
+      // Role deleted
+      if (value !== undefined) {
+        const ns = schema.connectionKey(schema.capabilityKey(value, parsed.other, parsed.profile), parsed.id) + '/';
+
+        // Remove other end if still linked
+        await transact([
+          [ns + parsed.role, 'Value', '==', parsed.prefix.context]
+        ], [
+          {type: 'purge', key: ns}
+        ]);
       }
       break;
   }
 }
 
+// Remove connections under prefix
+async function teardown(prefix) {
+  debug('Tearing down ' + prefix + '...', prefix);
+
+  const under = schema.parse(prefix);
+  const profiles = model.connections[under.network] || {};
+
+  // Capability or everything below
+  const buckets = (under.profile !== undefined)?[profiles[under.profile] || {}]:Object.values(profiles);
+
+  // Look through connection ends
+  for (const ns of buckets.flatMap(Object.keys)) {
+    // Under prefix?
+    if (!(ns + '/').startsWith(prefix + '/')) continue;
+
+    const parsed = schema.parse(ns);
+    const other = schema.other(parsed.role);
+
+    const ends = Object.assign({}, getEnds(ns));
+
+    for (const connection in ends) {
+      const at = schema.connectionKey(ns, connection);
+      const key = at + '/' + other;
+
+      debug('  Removing ' + connection, key);
+
+      // Remove both ends if unchanged
+      const removed = await transact([
+        [key, 'Value', '==', ends[connection]]
+      ], [
+        {type: 'purge', key: schema.connectionKey(schema.capabilityKey(ends[connection], other, parsed.profile), connection) + '/'},
+        {type: 'purge', key: at + '/'}
+      ]);
+
+      if (!removed) debug('  Changed ' + connection, key);
+      else measure('cns_orchestrator_connections_removed_total');
+    }
+  }
+}
+
 // Update connection property
 async function update(key, value) {
-  // Split key
-  const parts = key.split('/');
-
-  const network = parts[1];
-  const node = parts[3];
-  const context = parts[5];
-  const role = parts[6];
-  const profile = parts[7];
-  const connection = parts[9];
-  const property = parts[11];
+  // Parse key
+  const parsed = schema.parse(key);
 
-  var ns = 'cns/' + network;
+  const network = parsed.network;
+  const role = parsed.role;
+  const profile = parsed.profile;
+  const connection = parsed.id;
+  const property = parsed.property;
 
   // Get orchestrator mode
-  const mode = cache[ns + '/orchestrator'];
+  const mode = getMode(network);
   if (!isValidMode(mode)) return;
 
-  ns += '/nodes/' + node + '/contexts/' + context + '/' + role + '/' + profile;
+  const ns = parsed.prefix.capability;
 
   // Get capability version
   const version = cache[ns + '/version'];
@@ -423,42 +1083,62 @@ async function update(key, value) {
 
   // Get property provider
   const provider = await isProvider(profile, version, property);
-  if (provider === null) return;
+
+  // Not in profile?
+  if (provider === null)
+    throw new Error(E_PROPERTY + ': ' + profile + ' v' + version + ' ' + property);
 
   // Get opposite role
   const opposite = getOppositeRole(role, provider);
   if (opposite === null) return;
 
   // Find other end
-  const other = cache[ns + '/connections/' + connection + '/' + opposite];
-  if (other === null) return;
+  const other = cache[parsed.prefix.connection + '/' + opposite];
+  if (other === undefined) return;
+
+  const capability = schema.capabilityKey(other, opposite, profile);
 
-  debug('Updating...');
-  debug('  ' + opposite + ' ' + connection + ' ' + property);
+  // Other version must share property
+  if (!await isShared(profile, version, cache[capability + '/version'], property)) return;
+
+  debug('Updating...', key);
+  debug('  ' + opposite + ' ' + connection + ' ' + property, key);
 
   // Set property at other end
-  await put(other + '/' + opposite + '/' + profile + '/connections/' + connection + '/properties/' + property, value);
+  enqueue(schema.connectionKey(capability, connection) + '/properties/' + property, value, 'update');
+}
+
+// Mirror connection properties changed on standby
+async function remirror() {
+  debug('Remirroring...');
+
+  for (const key of Object.keys(cache)) {
+    // Lost lead?
+    if (!leader) return;
+
+    const parsed = schema.parse(key);
+    if (parsed === null || parsed.kind !== 'connectionProperty') continue;
+
+    // Other end differs?
+    await update(key, cache[key]).catch(error);
+  }
 }
 
 // Propagate capability property
 async function propagate(key, value) {
-  // Split key
-  const parts = key.split('/');
-
-  const network = parts[1];
-  const node = parts[3];
-  const context = parts[5];
-  const role = parts[6];
-  const profile = parts[7];
-  const property = parts[9];
+  // Parse key
+  const parsed = schema.parse(key);
 
-  var ns = 'cns/' + network;
+  const network = parsed.network;
+  const role = parsed.role;
+  const profile = parsed.profile;
+  const property = parsed.property;
 
   // Get orchestrator mode
-  const mode = cache[ns + '/orchestrator'];
+  const mode = getMode(network);
   if (!isValidMode(mode)) return;
 
-  ns += '/nodes/' + node + '/contexts/' + context + '/' + role + '/' + profile;
+  const ns = parsed.prefix.capability;
 
   // Get capability version
   const version = cache[ns + '/version'];
@@ -466,35 +1146,61 @@ async function propagate(key, value) {
 
   // Get property provider
   const provider = await isProvider(profile, version, property);
-  if (provider === null) return;
+
+  // Not in profile?
+  if (provider === null)
+    throw new Error(E_PROPERTY + ': ' + profile + ' v' + version + ' ' + property);
 
   // Get opposite role
   const opposite = getOppositeRole(role, provider);
   if (opposite === null) return;
 
-  debug('Propagating...');
+  // Stays local?
+  if (await isPropagated(profile, version, property) !== 'yes') return;
+
+  debug('Propagating...', key);
 
   // Update connections
-  const connections = filter(cache, ns + '/connections/*/' + opposite);
+  const connections = Object.assign({}, getEnds(ns));
 
-  for (const key in connections) {
-    // Split key
-    const parts = key.split('/');
-    const connection = parts[9];
+  for (const connection in connections) {
+    const at = schema.connectionKey(ns, connection);
 
-    debug('  ' + role + ' ' + connection + ' ' + property);
+    // Other version must share property
+    if (!await isShared(profile, version, cache[schema.capabilityKey(connections[connection], opposite, profile) + '/version'], property)) continue;
 
-    parts.pop();
-    parts.push('properties');
-    parts.push(property);
+    debug('  ' + role + ' ' + connection + ' ' + property, at);
 
     // Set connection property
-    await put(parts.join('/'), value);
+    enqueue(at + '/properties/' + property, value, 'propagate');
+
+    // Own write is ignored so update other end now
+    await update(at + '/properties/' + property, value);
   }
 }
 
 // Schedule a rebuid
-function rebuild() {
+function rebuild(network, profile) {
+  // Cancel previous
+  cancel();
+
+  // Standby?
+  if (!leader) return;
+
+  // Add to changes
+  widen(network, profile);
+
+  // Simulating?
+  if (memory !== undefined) {
+    requested = true;
+    return;
+  }
+
+  schedule();
+}
+
+// Set rebuild timer
+function schedule() {
   // Cancel previous
   cancel();
 
@@ -503,450 +1209,2040 @@ function rebuild() {
     // Timer up
     timer = undefined;
 
+    // Still building?
+    if (building) {
+      schedule();
+      return;
+    }
+
+    building = true;
+
+    const started = Date.now();
+
+    // Take changes
+    const scope = dirty;
+    dirty = undefined;
+
     try {
       // Build connections
-      await build();
+      const result = await build(scope);
+
+      built = Object.assign({started: new Date(started).toISOString(), duration: Date.now() - started}, result);
+
+      // Report dry run
+      if (options.dryrun) {
+        report();
+        planned = undefined;
+      }
     } catch(e) {
       // Failure
       error(e);
-    }
-  }, 1000);
-}
-
-// Cancel rebuild
-function cancel() {
-  // Cancel timer?
-  if (timer !== undefined) {
-    clearTimeout(timer);
-    timer = undefined;
-  }
-}
+      measure('cns_orchestrator_build_errors_total');
 
-// Build connections
-async function build() {
-  debug('Building...');
+      // Retry changes next time
+      restore(scope);
 
-  const add = [];
+      built = {started: new Date(started).toISOString(), duration: Date.now() - started, error: e.message};
+    } finally {
+      building = false;
 
-  // Look at networks
-  const networks = filter(cache, 'cns/*/name');
+      measure('cns_orchestrator_builds_total');
+      observe('cns_orchestrator_build_duration_seconds', (Date.now() - started) / 1000);
 
-  for (const key in networks) {
-    const parts = key.split('/');
-    const network = parts[1];
+      // Status once writes are seen
+      clearTimeout(reporter);
+      reporter = setTimeout(publish, config.debounce);
+    }
+  }, config.debounce);
+}
 
-    const ns1 = 'cns/' + network;
+// Write network status
+function publish() {
+  reporter = undefined;
 
-    // Get orchestrator mode
-    const mode = cache[ns1 + '/orchestrator'];
-    if (!isValidMode(mode)) return;
+  // Not wanted or not leader?
+  if (config.status !== 'yes' || !leader || client === undefined) return;
+  if (options.dryrun || built === undefined) return;
 
-    debug('Network ' + network);
+  const counts = tally();
 
-    // Look at nodes
-    const nodes = filter(cache, ns1 + '/nodes/*/name');
+  for (const network in model.networks) {
+    // Not orchestrated?
+    if (!isValidMode(getMode(network))) continue;
 
-    for (const key in nodes) {
-      const parts = key.split('/');
-      const node = parts[3];
+    const ns = schema.statusKey(network) + '/';
+    const count = counts[network] || {connections: 0, pending: 0};
 
-      debug('  Node ' + node);
+    enqueue(ns + 'built', built.started);
+    enqueue(ns + 'connections', String(count.connections));
+    enqueue(ns + 'pending', String(count.pending));
+    enqueue(ns + 'error', built.error || '');
+    enqueue(ns + 'orchestrator', identity);
+    enqueue(ns + 'release', pack.version);
+  }
+}
 
-      // Look at contexts
-      const ns2 = ns1 + '/nodes/' + node;
-      const contexts = filter(cache, ns2 + '/contexts/*/name');
+// Count connections per network
+function tally() {
+  const counts = {};
 
-      for (const key in contexts) {
-        const parts = key.split('/');
-        const context = parts[5];
+  for (const network in model.connections) {
+    for (const profile in model.connections[network]) {
+      const bucket = model.connections[network][profile];
 
-        debug('    Context ' + context);
+      for (const capability in bucket) {
+        if (schema.parse(capability).role !== 'provider') continue;
 
-        // Look at providers
-        const ns3 = ns2 + '/contexts/' + context;
-        const provider = filter(cache, ns3 + '/provider/*/version');
+        if (counts[network] === undefined) counts[network] = {connections: 0, pending: 0};
 
-        for (const key in provider) {
-          const parts = key.split('/');
+        for (const connection in bucket[capability]) {
+          const status = cache[schema.connectionKey(capability, connection) + '/status'];
 
-          const profile = parts[7];
-          const version = provider[key];
+          counts[network].connections++;
+          if (status !== undefined && status.startsWith('pending')) counts[network].pending++;
+        }
+      }
+    }
+  }
+  return counts;
+}
 
-          debug('      Provides ' + profile + ' v' + version);
+// Widen rebuild scope
+function widen(network, profile) {
+  if (dirty === undefined) dirty = {all: false, networks: {}};
 
-          // Add consumers for provider
-          consumers(mode, network, node, context, profile, version, add);
-        }
+  // Everything?
+  if (network === undefined) {
+    dirty.all = true;
+    return;
+  }
+
+  if (dirty.networks[network] === undefined) dirty.networks[network] = {};
+  dirty.networks[network][(profile !== undefined)?profile:'*'] = true;
+}
+
+// Restore rebuild scope
+function restore(scope) {
+  // Everything?
+  if (scope === undefined || scope.all) {
+    widen();
+    return;
+  }
+
+  for (const network in scope.networks) {
+    for (const profile in scope.networks[network])
+      widen(network, (profile !== '*')?profile:undefined);
+  }
+}
+
+// Cancel rebuild
+function cancel() {
+  // Cancel timer?
+  if (timer !== undefined) {
+    clearTimeout(timer);
+    timer = undefined;
+  }
+}
+
+// Build connections
+async function build(scope) {
+  const full = (scope === undefined || scope.all);
+
+  debug('Building ' + (full?'all':'changes') + '...');
+
+  // Plan changes?
+  planned = options.dryrun?{create: [], keep: [], remove: [], writes: []}:undefined;
+
+  const add = [];
+  const keep = [];
+  const managed = [];
+
+  // Changed profiles
+  const touched = {};
+
+  if (!full) {
+    for (const network in scope.networks)
+      Object.assign(touched, scope.networks[network]);
+  }
+
+  // Network profile changed?
+  const affected = (network, profile) => {
+    if (full) return true;
+
+    const profiles = scope.networks[network];
+    if (profiles !== undefined && (profiles['*'] || profiles[profile])) return true;
+
+    // Consumers in any network
+    const mode = getMode(network);
+    return isValidMode(mode) && modes[mode].global === true && (touched[profile] === true || touched['*'] === true);
+  };
+
+  // Look at networks
+  for (const network in model.networks) {
+    const ns1 = schema.networkKey(network);
+
+    // Get orchestrator mode
+    const mode = getMode(network);
+    if (!isValidMode(mode)) continue;
+
+    debug('Network ' + network + ' ' + mode, ns1);
+
+    // Removes stale connections?
+    const strategy = modes[mode];
+    if (!strategy.keep) managed.push(network);
+
+    // Never adds connections?
+    if (strategy.consumers === null) continue;
+
+    const candidates = [];
+
+    // Look at provided profiles
+    for (const profile in model.capabilities[network]) {
+      if (!affected(network, profile)) continue;
+
+      const providers = getCapabilities(network, profile, 'provider');
+
+      for (const provider in providers) {
+        if (!isNamed(provider)) continue;
+
+        const version = providers[provider];
+
+        trace('  Provides ' + profile + ' v' + version, schema.capabilityKey(provider, 'provider', profile));
+
+        // Add consumers for provider
+        consumers(mode, network, provider, profile, version, candidates);
       }
     }
+
+    // Compatible versions only
+    const compatible = await compatibles(candidates, keep);
+
+    // Select connections
+    add.push(...((strategy.select !== undefined)?strategy.select(compatible, network):compatible));
   }
 
+  // Find stale connections
+  const remove = [];
+  stale(managed, add.concat(keep), remove, affected);
+
   // Generate new connections
-  await connections(add);
+  const created = await connections(add);
+
+  // Remove stale connections
+  const removed = await disconnections(remove);
+
+  return {
+    full: full,
+    networks: managed.length,
+    wanted: add.length,
+    created: created,
+    removed: removed
+  };
 }
 
-// Add consumers for provider
-function consumers(mode, network, node, context, profile, version, add) {
-  // Provider context
-  const provider = 'cns/' + network + '/nodes/' + node + '/contexts/' + context;
-  const scope = context;
+// Plan changes
+async function plan() {
+  // Acts as leader but never writes
+  leader = true;
+
+  await build();
+  report();
+}
+
+// Report planned changes
+function report() {
+  // As JSON?
+  if (options.json) {
+    console.log(JSON.stringify(planned, null, 2));
+    return;
+  }
+
+  print('Plan:');
 
-  // What mode?
-  switch (mode) {
-    case 'allsystems': allsystems(provider, profile, version, scope, add); break;
-    case 'bysystem': bysystem(network, provider, profile, version, scope, add); break;
+  for (const c of planned.create)
+    print('  Create ' + c.id + ' ' + c.profile + ' ' + c.provider + ' -> ' + c.consumer);
+
+  for (const c of planned.keep)
+    print('  Keep ' + c.id + ' ' + c.profile + ' ' + c.provider + ' -> ' + c.consumer);
+
+  for (const c of planned.remove)
+    print('  Remove ' + c.id + ' ' + c.profile + ' ' + c.provider + ' -> ' + c.consumer);
+
+  for (const op of planned.writes)
+    print('  ' + describe(op));
+
+  print(planned.create.length + ' to create, ' + planned.keep.length + ' to keep, ' +
+    planned.remove.length + ' to remove, ' + planned.writes.length + ' writes.');
+}
+
+// Record dry run write
+function record(op) {
+  // Planning or live?
+  if (planned !== undefined) planned.writes.push(op);
+  else print('Dry run: ' + describe(op));
+}
+
+// Describe write
+function describe(op) {
+  switch (op.type) {
+    case 'put': return 'Put ' + op.key + ' = ' + op.value;
+    case 'del': return 'Delete ' + op.key;
+    case 'purge': return 'Purge ' + op.key;
   }
+  return op.type + ' ' + op.key;
 }
 
-// Add network consumers
-function allsystems(provider, profile, version, scope, add) {
-  // Look through networks
-  const networks = filter(cache, 'cns/*/name');
+// Run offline simulation
+async function simulate() {
+  // Load snapshot
+  memory = flatten(await loadFile(options.simulate), '');
+  changes = [];
+
+  cache = Object.assign({}, memory);
+  reindex();
+
+  profiles = {};
+
+  leader = true;
+
+  print('Simulating ' + Object.keys(memory).length + ' keys...');
+
+  // Initial build
+  rebuild();
+  await settle();
+
+  // Replay events
+  const events = (options.events !== undefined)?await loadFile(options.events):[];
+
+  if (!Array.isArray(events))
+    throw new Error(E_EVENT + ': ' + options.events);
+
+  for (const event of events) {
+    debug('Event ' + JSON.stringify(event));
+
+    // Keys must be well formed
+    if (event.put !== undefined) schema.validate(event.put);
+    if (event.delete !== undefined) schema.validate(event.delete);
+
+    if (event.put !== undefined && event.value !== undefined)
+      simulated({type: 'put', key: event.put, value: event.value});
+    else if (event.delete !== undefined)
+      simulated({type: 'del', key: event.delete});
+    else if (event.purge !== undefined)
+      simulated({type: 'purge', key: event.purge});
+    else throw new Error(E_EVENT + ': ' + JSON.stringify(event));
+
+    await settle();
+  }
+
+  // Dump resulting keys
+  const result = {};
+
+  for (const key of Object.keys(memory).sort())
+    result[key] = memory[key];
+
+  if (options.output === undefined) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  const text = /\.ya?ml$/i.test(options.output)?
+    yaml.stringify(result):
+    JSON.stringify(result, null, 2) + '\n';
+
+  await fs.promises.writeFile(options.output, text);
+  print('Wrote ' + Object.keys(result).length + ' keys to ' + options.output);
+}
+
+// Deliver changes until quiet
+async function settle() {
+  for (var n = 0; n < 10000; n++) {
+    // Deliver next change
+    const change = changes.shift();
+
+    if (change !== undefined) {
+      try {
+        if (change.type === 'put') await onput(change.key, change.value);
+        else await ondelete(change.key, cache[change.key]);
+      } catch(e) {
+        // Failure
+        error(e);
+      }
+      continue;
+    }
+
+    // Run requested build
+    if (requested) {
+      const scope = dirty;
+
+      requested = false;
+      dirty = undefined;
+
+      try {
+        await build(scope);
+      } catch(e) {
+        // Failure
+        error(e);
+        measure('cns_orchestrator_build_errors_total');
+      }
+      continue;
+    }
+    return;
+  }
+  throw new Error(E_SETTLE);
+}
+
+// Apply simulated write
+function simulated(op) {
+  switch (op.type) {
+    case 'put':
+      memory[op.key] = String(op.value);
+      changes.push({type: 'put', key: op.key, value: memory[op.key]});
+      break;
+    case 'del':
+      if (memory[op.key] === undefined) break;
+
+      delete memory[op.key];
+      changes.push({type: 'delete', key: op.key});
+      break;
+    case 'purge':
+      for (const key of Object.keys(memory)) {
+        if (key.startsWith(op.key))
+          simulated({type: 'del', key: key});
+      }
+      break;
+    default:
+      throw new Error(E_COMMIT + ': ' + op.type);
+  }
+}
+
+// Compare simulated key
+function compared(compare) {
+  const key = compare[0];
+  const column = compare[1];
+  const cmp = compare[2];
+  const value = compare[3];
+
+  // Created revision is zero when absent
+  const actual = (column === 'Create')?((memory[key] === undefined)?0:1):memory[key];
+
+  if (column !== 'Create' && column !== 'Value')
+    throw new Error(E_COMMIT + ': ' + column);
+
+  switch (cmp) {
+    case '==': case '===': return actual === value;
+    case '!=': case '!==': return actual !== value;
+  }
+  throw new Error(E_COMMIT + ': ' + cmp);
+}
+
+// Load JSON or YAML file
+async function loadFile(file) {
+  const text = await fs.promises.readFile(file, 'utf8');
+  return /\.ya?ml$/i.test(file)?yaml.parse(text):JSON.parse(text);
+}
+
+// Flatten key tree
+function flatten(data, prefix) {
+  const result = {};
+
+  for (const name in data) {
+    const value = data[name];
+
+    // Nested keys?
+    if (typeof value === 'object' && value !== null && !Array.isArray(value))
+      Object.assign(result, flatten(value, prefix + name + '/'));
+    else result[prefix + name] = String(value);
+  }
+  return result;
+}
+
+// Add consumers for provider
+function consumers(mode, network, provider, profile, version, add) {
+  // Provider scope
+  const scope = cache[schema.capabilityKey(provider, 'provider', profile) + '/scope'];
 
-  for (const key in networks) {
-    const parts = key.split('/');
-    const network = parts[1];
+  // Add mode consumers
+  modes[mode].consumers(network, provider, profile, version, scope, add);
+}
 
-    // Add node consumers
+// Add all network consumers
+function allsystems(network, provider, profile, version, scope, add) {
+  // Look through networks
+  for (const network in model.networks) {
+    // Add network consumers
     bysystem(network, provider, profile, version, scope, add);
   }
 }
 
-// Add node consumers
+// Add network consumers
 function bysystem(network, provider, profile, version, scope, add) {
-  // Look through nodes
-  const nodes = filter(cache, 'cns/' + network + '/nodes/*/name');
-
-  for (const key in nodes) {
-    const parts = key.split('/');
-    const node = parts[3];
-
-    // Look through contexts
-    const contexts = filter(cache, 'cns/' + network + '/nodes/' + node + '/contexts/*/name');
-
-    for (const key in contexts) {
-      const parts = key.split('/');
-      const context = parts[5];
-
-      // Context must match
-      if (context === scope) {
-        // Look through capabilities
-        const consumer = 'cns/' + network + '/nodes/' + node + '/contexts/' + context;
-        const capabilities = filter(cache, consumer + '/consumer/' + profile + '/version');
-
-        for (const key in capabilities) {
-          // Same profile version?
-          if (capabilities[key] === version) {
-            // Add possible connection
-            add.push({
-              provider: provider,
-              consumer: consumer,
-              profile: profile,
-              version: version
-            });
-          }
-        }
-      }
+  // Any node
+  bycontext(network, undefined, provider, profile, version, scope, add);
+}
+
+// Add provider node consumers
+function bynode(network, provider, profile, version, scope, add) {
+  // Same node only
+  const node = schema.parse(provider).node;
+
+  // Add context consumers
+  bycontext(network, node, provider, profile, version, scope, add);
+}
+
+// Add context consumers
+function bycontext(network, node, provider, profile, version, scope, add) {
+  // Look through consumers
+  const capabilities = getCapabilities(network, profile, 'consumer');
+
+  const context = schema.parse(provider).context;
+
+  for (const consumer in capabilities) {
+    const parsed = schema.parse(consumer);
+
+    // Other node or unnamed?
+    if (node !== undefined && parsed.node !== node) continue;
+    if (!isNamed(consumer)) continue;
+
+    // Scopes must match
+    const cscope = cache[schema.capabilityKey(consumer, 'consumer', profile) + '/scope'];
+
+    if (isMatchingScope(context, scope, parsed.context, cscope)) {
+      // Add possible connection
+      add.push({
+        provider: provider,
+        consumer: consumer,
+        profile: profile,
+        version: version,
+        cversion: capabilities[consumer]
+      });
+    }
+  }
+}
+
+// Filter compatible versions
+async function compatibles(candidates, keep) {
+  const result = [];
+
+  for (const c of candidates) {
+    try {
+      // Versions compatible?
+      if (await isCompatible(c.profile, c.version, c.cversion))
+        result.push(c);
+    } catch(e) {
+      // Unknown so leave as is
+      debug(e.message);
+      keep.push(c);
     }
   }
+  return result;
+}
+
+// Select one provider per consumer
+function onetoone(candidates, network) {
+  const groups = {};
+
+  // Group providers by consumer
+  for (const c of candidates) {
+    const key = c.consumer + '|' + c.profile;
+
+    if (groups[key] === undefined) groups[key] = [];
+    groups[key].push(c);
+  }
+
+  const selected = [];
+  const pending = [];
+  const load = {};
+
+  // Select provider
+  const select = (c) => {
+    const key = c.provider + '|' + c.profile;
+
+    load[key] = (load[key] || 0) + 1;
+    selected.push(c);
+  };
+
+  // Keep existing connections
+  for (const key in groups) {
+    const group = groups[key].sort((a, b) => (a.provider < b.provider)?-1:(a.provider > b.provider)?1:0);
+    const existing = group.find((c) => isConnected(c));
+
+    if (existing !== undefined) select(existing);
+    else pending.push(group);
+  }
+
+  // Apply policy to the rest
+  const policy = policies[getPolicy(network)];
+
+  for (const group of pending)
+    select(policy(group, load));
+
+  return selected;
+}
+
+// Select first provider
+function first(group, load) {
+  return group[0];
+}
+
+// Select least loaded provider
+function balanced(group, load) {
+  var result = group[0];
+
+  for (const c of group) {
+    if ((load[c.provider + '|' + c.profile] || 0) < (load[result.provider + '|' + result.profile] || 0))
+      result = c;
+  }
+  return result;
 }
 
 // Add missing connections
 async function connections(add) {
   debug('Connecting...');
 
+  var count = 0;
+
   // Look through possible connections
   for (const c of add) {
     // Look for existing connection
-    const provider = filter(cache, c.provider + '/provider/' + c.profile + '/connections/*/consumer');
-    const consumer = filter(cache, c.consumer + '/consumer/' + c.profile + '/connections/*/provider');
+    const nsp = schema.capabilityKey(c.provider, 'provider', c.profile);
+    const nsc = schema.capabilityKey(c.consumer, 'consumer', c.profile);
+
+    const provider = getEnds(nsp);
+    const consumer = getEnds(nsc);
 
     var id = null;
 
     var addp = true;
     var addc = true;
 
-    for (const key in provider) {
-      if (provider[key] === c.consumer) {
+    for (const connection in provider) {
+      if (provider[connection] === c.consumer) {
         // Provider connection exists
-        id = key.split('/')[9];
+        id = connection;
         addp = false;
         break;
       }
     }
 
-    for (const key in consumer) {
-      if (consumer[key] === c.provider) {
+    for (const connection in consumer) {
+      if (consumer[connection] === c.provider) {
         // Consumer connection exists
-        id = key.split('/')[9];
+        id = connection;
         addc = false;
         break;
       }
     }
 
-    // Connection already exists?
-    if (!addp && !addc) {
-      debug('  Existing ' + id);
-      continue;
+    // Merge connection defaults
+    const properties = Object.assign({}, model.properties[nsp], model.properties[nsc]);
+
+    // Different versions share properties?
+    if (c.version !== c.cversion) {
+      try {
+        const propsv = await getProperties(c.profile, c.cversion);
+
+        for (const name in properties) {
+          if (propsv[name] === undefined || await isProvider(c.profile, c.version, name) === null)
+            delete properties[name];
+        }
+      } catch(e) {
+        // Version unknown so share none
+        debug(e.message);
+
+        for (const name in properties)
+          delete properties[name];
+      }
     }
 
-    // Merge connection defaults
-    const properties = {};
+    // Check required properties
+    const missing = await getMissing(c, properties);
+    const status = (missing.length > 0)?('pending: missing ' + missing.join(', ')):
+      (config.metadata === 'yes')?'connected':undefined;
 
-    const propsp = filter(cache, c.provider + '/provider/' + c.profile + '/properties/*');
-    const propsc = filter(cache, c.consumer + '/consumer/' + c.profile + '/properties/*');
+    // Connection already exists?
+    if (!addp && !addc) {
+      debug('  Existing ' + id, getEnd(c, id));
 
-    for (const key in propsp) {
-      const parts = key.split('/');
-      const name = parts[9];
+      if (planned !== undefined)
+        planned.keep.push({id: id, profile: c.profile, provider: c.provider, consumer: c.consumer});
 
-      properties[name] = propsp[key];
+      await pending(c, id, status);
+      continue;
     }
 
-    for (const key in propsc) {
-      const parts = key.split('/');
-      const name = parts[9];
+    // Undefined and non propagated defaults stay local
+    try {
+      const propsv = await getProperties(c.profile, c.version);
+
+      for (const name in properties) {
+        if (propsv[name] === undefined || propsv[name].propagate !== 'yes')
+          delete properties[name];
+      }
+    } catch(e) {
+      // Profile unknown so copy none
+      debug(e.message);
 
-      properties[name] = propsc[key];
+      for (const name in properties)
+        delete properties[name];
     }
 
     // Needs new id?
     if (id === null) id = short.generate();
 
-    debug('  Creating ' + id);
+    debug('  Creating ' + id + (status?(' ' + status):''), getEnd(c, id));
+
+    if (planned !== undefined)
+      planned.create.push({id: id, profile: c.profile, provider: c.provider, consumer: c.consumer, properties: properties});
+
+    const compares = [];
+    const operations = [];
+
+    // Connection metadata
+    const meta = (config.metadata === 'yes')?{
+      created: new Date().toISOString(),
+      mode: getMode(schema.parse(c.provider).network),
+      orchestrator: identity,
+      release: pack.version
+    }:undefined;
 
-    // Add provider connection?
-    if (addp) {
-      const ns = c.provider + '/provider/' + c.profile + '/connections/' + id + '/';
-      await put(ns + 'consumer', c.consumer);
+    // Add connection end
+    const end = (ns, role, value, absent, version) => {
+      // Pending connection?
+      if (status !== undefined)
+        operations.push({type: 'put', key: ns + 'status', value: status});
+
+      // Existing end must be unchanged
+      if (!absent) {
+        compares.push([ns + role, 'Value', '==', value]);
+        return;
+      }
+
+      // New end must not exist
+      compares.push([ns + role, 'Create', '==', 0]);
+      operations.push({type: 'put', key: ns + role, value: value});
 
       for (const name in properties)
-        await put(ns + 'properties/' + name, properties[name]);
+        operations.push({type: 'put', key: ns + 'properties/' + name, value: properties[name]});
+
+      // Who made it and how
+      if (meta !== undefined) {
+        for (const name in meta)
+          operations.push({type: 'put', key: ns + 'meta/' + name, value: meta[name]});
+
+        operations.push({type: 'put', key: ns + 'meta/version', value: version});
+      }
+    };
+
+    end(schema.connectionKey(nsp, id) + '/', 'consumer', c.consumer, addp, c.version);
+    end(schema.connectionKey(nsc, id) + '/', 'provider', c.provider, addc, c.cversion);
+
+    // Create connection atomically
+    const created = await transact(compares, operations);
+
+    // Lost a race?
+    if (!created) {
+      debug('  Conflict ' + id, getEnd(c, id));
+      rebuild(schema.parse(c.provider).network, c.profile);
+    } else {
+      measure('cns_orchestrator_connections_created_total');
+      count++;
     }
+  }
+  return count;
+}
 
-    // Add consumer connection?
-    if (addc) {
-      const ns = c.consumer + '/consumer/' + c.profile + '/connections/' + id + '/';
-      await put(ns + 'provider', c.provider);
+// Get missing required properties
+async function getMissing(c, properties) {
+  const missing = [];
 
-      for (const name in properties)
-        await put(ns + 'properties/' + name, properties[name]);
+  try {
+    // Look through both versions
+    for (const version of [c.version, c.cversion]) {
+      const required = await getProperties(c.profile, version);
+
+      for (const name in required) {
+        if (required[name].required === 'yes' && properties[name] === undefined && !missing.includes(name))
+          missing.push(name);
+      }
     }
+  } catch(e) {
+    // Profile unknown
+    debug(e.message);
   }
+  return missing;
 }
 
-// Get profile
-async function getProfile(name) {
-  // Already have it?
-  var profile = profiles[name];
+// Update connection status
+async function pending(c, id, status) {
+  const nsp = schema.connectionKey(schema.capabilityKey(c.provider, 'provider', c.profile), id) + '/';
+  const nsc = schema.connectionKey(schema.capabilityKey(c.consumer, 'consumer', c.profile), id) + '/';
 
-  if (profile === undefined) {
-    // Send request
-    try {
-      const data = JSON.parse(await request('GET', config.profiles + '/' + name));
+  // Status unchanged?
+  if (cache[nsp + 'status'] === status && cache[nsc + 'status'] === status) return;
 
-      // Convert result
-      profile = {
-        name: data.title,
-        versions: {}
-      };
+  debug('  ' + ((status !== undefined && status.startsWith('pending'))?('Pending ' + id + ' ' + status):('Completed ' + id)), nsp);
+
+  const operations = [];
+
+  for (const ns of [nsp, nsc]) {
+    operations.push((status === undefined)?
+      {type: 'del', key: ns + 'status'}:
+      {type: 'put', key: ns + 'status', value: status});
+  }
+
+  // Both ends must be unchanged
+  await transact([
+    [nsp + 'consumer', 'Value', '==', c.consumer],
+    [nsc + 'provider', 'Value', '==', c.provider]
+  ], operations);
+}
+
+// Get provider end of connection
+function getEnd(c, id) {
+  return schema.connectionKey(schema.capabilityKey(c.provider, 'provider', c.profile), id);
+}
+
+// Is capability pending
+function isPending(ns) {
+  for (const connection in getEnds(ns)) {
+    const status = cache[schema.connectionKey(ns, connection) + '/status'];
+
+    if (status !== undefined && status.startsWith('pending'))
+      return true;
+  }
+  return false;
+}
 
-      // Convert versions
-      for (var n = 0; n < data.versions.length; n++) {
-        const version = data.versions[n];
-        const properties = {};
-
-        // Convert properties
-        for (const property of version.properties) {
-          properties[property.name] = {
-            name: property.description || property.name,
-            provider: (property.server === null)?'yes':'no',
-            required: (property.required === null)?'yes':'no',
-            propagate: (property.propagate === null)?'yes':'no'
-          };
+// Add connections no longer wanted
+function stale(managed, add, remove, affected) {
+  // Wanted connections
+  const wanted = {};
+
+  for (const c of add)
+    wanted[c.provider + '|' + c.consumer + '|' + c.profile] = true;
+
+  const found = {};
+
+  // Check connection end
+  const check = (key, value, provider, consumer, profile, id) => {
+    // Provider network orchestrated?
+    const network = schema.parse(provider).network;
+    if (!managed.includes(network) || !affected(network, profile)) return;
+
+    // Still wanted or already found?
+    if (wanted[provider + '|' + consumer + '|' + profile]) return;
+    if (found[id] !== undefined) return;
+
+    // Add stale connection
+    found[id] = {
+      provider: provider,
+      consumer: consumer,
+      profile: profile,
+      id: id,
+      key: key,
+      value: value
+    };
+    remove.push(found[id]);
+  };
+
+  const reaches = {};
+
+  // Profile changed in any orchestrated network
+  const reached = (profile) => {
+    if (reaches[profile] === undefined)
+      reaches[profile] = managed.some((network) => affected(network, profile));
+
+    return reaches[profile];
+  };
+
+  // Provider ends first
+  for (const role of schema.ROLES) {
+    for (const network in model.connections) {
+      for (const profile in model.connections[network]) {
+        // Unchanged bucket?
+        if (!((role === 'provider')?(managed.includes(network) && affected(network, profile)):reached(profile))) continue;
+
+        const bucket = model.connections[network][profile];
+
+        for (const ns in bucket) {
+          const parsed = schema.parse(ns);
+          if (parsed.role !== role) continue;
+
+          const context = parsed.prefix.context;
+          const ends = bucket[ns];
+
+          for (const id in ends) {
+            const key = schema.connectionKey(ns, id) + '/' + schema.other(role);
+
+            if (role === 'provider') check(key, ends[id], context, ends[id], profile, id);
+            else check(key, ends[id], ends[id], context, profile, id);
+          }
         }
-        profile.versions['version' + (n + 1)] = properties;
       }
-    } catch(e) {
-      // Failure
-      debug(e.message);
-      profile = null;
     }
+  }
+}
+
+// Remove stale connections
+async function disconnections(remove) {
+  debug('Disconnecting...');
+
+  var count = 0;
+
+  // Look through stale connections
+  for (const c of remove) {
+    debug('  Removing ' + c.id, getEnd(c, c.id));
+
+    if (planned !== undefined)
+      planned.remove.push({id: c.id, profile: c.profile, provider: c.provider, consumer: c.consumer});
+
+    // Remove both ends if unchanged
+    const removed = await transact([
+      [c.key, 'Value', '==', c.value]
+    ], [
+      {type: 'purge', key: schema.connectionKey(schema.capabilityKey(c.provider, 'provider', c.profile), c.id) + '/'},
+      {type: 'purge', key: schema.connectionKey(schema.capabilityKey(c.consumer, 'consumer', c.profile), c.id) + '/'}
+    ]);
+
+    if (!removed) debug('  Changed ' + c.id, getEnd(c, c.id));
+    else {
+      measure('cns_orchestrator_connections_removed_total');
+      count++;
+    }
+  }
+  return count;
+}
+
+// Get profile
+async function getProfile(name) {
+  // Already have it?
+  var entry = profiles[name];
+
+  // Missing or expired?
+  if (entry === undefined || Date.now() >= entry.expires) {
+    entry = await fetchProfile(name, entry);
+
+    // Set profile cache
+    profiles[name] = entry;
+  }
+
+  // Not found?
+  if (entry.profile === null)
+    throw new Error(E_FOUND + ': ' + name);
+
+  return entry.profile;
+}
+
+// Fetch profile
+async function fetchProfile(name, previous) {
+  const now = Date.now();
+
+  try {
+    const dir = getProfileDir(config.profiles);
+
+    // Read file or send request
+    const text = (dir !== null)?
+      await readProfile(dir, name):
+      await request('GET', config.profiles + '/' + name);
+
+    const profile = toProfile(JSON.parse(text));
+
+    measure('cns_orchestrator_profile_fetches_total', {result: 'success'});
+    observe('cns_orchestrator_profile_fetch_duration_seconds', (Date.now() - now) / 1000);
+
+    return {
+      profile: profile,
+      expires: now + config.profiles_ttl * 1000,
+      failures: 0
+    };
+  } catch(e) {
+    // Failure
+    debug(e.message);
+
+    measure('cns_orchestrator_profile_fetches_total', {result: 'failure'});
+    observe('cns_orchestrator_profile_fetch_duration_seconds', (Date.now() - now) / 1000);
+  }
+
+  // Back off before retrying
+  const failures = ((previous !== undefined)?previous.failures:0) + 1;
+  const backoff = Math.min(config.profiles_retry * Math.pow(2, failures - 1), config.profiles_ttl);
+
+  // Keep stale profile or fall back
+  var profile = (previous !== undefined)?previous.profile:null;
+  if (profile === null) profile = await fallbackProfile(name);
+
+  return {
+    profile: profile,
+    expires: now + backoff * 1000,
+    failures: failures
+  };
+}
+
+// Fallback profile
+async function fallbackProfile(name) {
+  const source = config.fallback;
+  if (source === '') return null;
+
+  try {
+    // From etcd or directory?
+    const text = source.startsWith('etcd:')?
+      await get(source.substr(5) + '/' + name):
+      await readProfile(getProfileDir(source) || source, name);
+
+    if (text === null)
+      throw new Error(E_FOUND + ': ' + name);
+
+    warn('Fallback profile ' + name);
+    return toProfile(JSON.parse(text));
+  } catch(e) {
+    // Failure
+    debug(e.message);
+  }
+  return null;
+}
+
+// Read profile file
+async function readProfile(dir, name) {
+  // Must be plain name
+  if (name !== path.basename(name) || name.startsWith('.'))
+    throw new Error(E_FOUND + ': ' + name);
+
+  return await fs.promises.readFile(path.join(dir, name + '.json'), 'utf8');
+}
+
+// Get profile directory
+function getProfileDir(source) {
+  // File url or path?
+  if (source.startsWith('file:')) return url.fileURLToPath(source);
+  if (source.startsWith('/') || source.startsWith('.')) return path.resolve(source);
+
+  return null;
+}
+
+// Watch profile directory
+function watchProfiles() {
+  const dir = getProfileDir(config.profiles);
+  if (dir === null) return;
+
+  // Check existing profiles
+  for (const file of fs.readdirSync(dir))
+    checkProfile(dir, file);
+
+  debug('Watching profiles...');
+
+  monitor = fs.watch(dir, (event, file) => {
+    // Profile file?
+    if (!file || !file.endsWith('.json')) return;
+
+    const name = file.substr(0, file.length - 5);
+
+    print('Profile ' + name + ' changed.');
+
+    // Reload on next use
+    if (profiles[name] !== undefined)
+      profiles[name].expires = 0;
+
+    checkProfile(dir, file);
+    rebuild();
+  })
+  .on('error', (e) => {
+    // Failure
+    error(e);
+  });
+}
+
+// Check profile file
+function checkProfile(dir, file) {
+  // Profile file?
+  if (!file.endsWith('.json')) return;
+
+  try {
+    validateProfile(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+  } catch(e) {
+    // Report but carry on
+    if (e.code !== 'ENOENT')
+      error(new Error(file + ': ' + e.message));
+  }
+}
+
+// Validate profile
+function validateProfile(data) {
+  // Invalid data
+  const fail = (reason) => {
+    throw new Error(E_PROFILE + ': ' + reason);
+  };
+
+  if (typeof data !== 'object' || data === null) fail('not an object');
+  if (typeof data.title !== 'string') fail('title must be a string');
+  if (!Array.isArray(data.versions)) fail('versions must be an array');
+
+  // Check versions
+  data.versions.forEach((version, n) => {
+    const at = 'versions[' + n + ']';
+
+    if (typeof version !== 'object' || version === null) fail(at + ' must be an object');
+    if (!Array.isArray(version.properties)) fail(at + '.properties must be an array');
+
+    const compatible = version.compatible;
+
+    if (compatible !== undefined && compatible !== null && !Array.isArray(compatible) &&
+      typeof compatible !== 'string' && typeof compatible !== 'number')
+      fail(at + '.compatible must be an array, string or number');
+
+    // Check properties
+    version.properties.forEach((property, m) => {
+      const at2 = at + '.properties[' + m + ']';
+
+      if (typeof property !== 'object' || property === null) fail(at2 + ' must be an object');
+      if (typeof property.name !== 'string' || property.name === '') fail(at2 + '.name must be a string');
+
+      if (property.description !== undefined && property.description !== null && typeof property.description !== 'string')
+        fail(at2 + '.description must be a string');
+    });
+  });
+}
+
+// Convert profile
+function toProfile(data) {
+  // Check result
+  validateProfile(data);
+
+  // Convert result
+  const profile = {
+    name: data.title,
+    versions: {},
+    compatible: {}
+  };
+
+  // Convert versions
+  for (var n = 0; n < data.versions.length; n++) {
+    const version = data.versions[n];
+    const properties = {};
+
+    // Convert properties
+    for (const property of version.properties) {
+      properties[property.name] = {
+        name: property.description || property.name,
+        provider: (property.server === null)?'yes':'no',
+        required: (property.required === null)?'yes':'no',
+        propagate: (property.propagate === null)?'yes':'no'
+      };
+    }
+    profile.versions['version' + (n + 1)] = properties;
+    profile.compatible['version' + (n + 1)] = version.compatible;
+  }
+  return profile;
+}
+
+// Refresh profiles
+function refresh() {
+  print('Refreshing profiles.');
+
+  // Expire cached profiles
+  for (const name in profiles)
+    profiles[name].expires = 0;
+}
+
+// Get profile properties
+async function getProperties(name, version) {
+  // Get profile
+  const profile = await getProfile(name);
+
+  // Get properties
+  const versions = profile.versions || [];
+  const properties = versions['version' + version];
+
+  // Missing version?
+  if (properties === undefined)
+    throw new Error(E_FOUND + ': ' + name + ' v' + version);
+
+  return properties;
+}
+
+// Is provider property
+async function isProvider(profile, version, property) {
+  // Get profile properties
+  const properties = await getProperties(profile, version);
+
+  for (const name in properties) {
+    if (name === property)
+      return properties[name].provider;
+  }
+  return null;
+}
+
+// Is propagated property
+async function isPropagated(profile, version, property) {
+  // Get profile properties
+  const properties = await getProperties(profile, version);
+
+  for (const name in properties) {
+    if (name === property)
+      return properties[name].propagate;
+  }
+  return null;
+}
+
+// Are profile versions compatible
+async function isCompatible(name, pversion, cversion) {
+  // Same version?
+  if (pversion === cversion) return true;
+
+  // Get profile
+  const profile = await getProfile(name);
+  const compatible = profile.compatible || {};
+
+  // Both versions defined?
+  const versions = profile.versions || {};
+
+  if (versions['version' + pversion] === undefined || versions['version' + cversion] === undefined)
+    return false;
+
+  // Either version accepts other
+  return isInRange(compatible['version' + pversion], cversion) ||
+    isInRange(compatible['version' + cversion], pversion);
+}
+
+// Is version in range
+function isInRange(range, version) {
+  const v = parseInt(version);
+  if (isNaN(v)) return false;
+
+  // List of versions or ranges?
+  if (Array.isArray(range))
+    return range.some((item) => isInRange(String(item), version));
+
+  if (typeof range === 'number')
+    return range === v;
+
+  if (typeof range !== 'string')
+    return false;
+
+  // Any alternative set
+  return range.split('||').some((set) => {
+    set = set.trim();
+
+    // Hyphen range?
+    const hyphen = set.match(/^(\d+)\s*-\s*(\d+)$/);
+    if (hyphen) return v >= parseInt(hyphen[1]) && v <= parseInt(hyphen[2]);
+
+    // All comparators
+    return set.split(/\s+/).every((comparator) => {
+      if (comparator === '*' || comparator === '') return true;
+
+      const m = comparator.match(/^(>=|<=|>|<|=)?v?(\d+)$/);
+      if (!m) return false;
+
+      const n = parseInt(m[2]);
+
+      switch (m[1]) {
+        case '>=': return v >= n;
+        case '<=': return v <= n;
+        case '>': return v > n;
+        case '<': return v < n;
+      }
+      return v === n;
+    });
+  });
+}
+
+// Is property shared by other version
+async function isShared(profile, version, other, property) {
+  // Same or unknown version?
+  if (other === undefined || other === version) return true;
+
+  return (await isProvider(profile, other, property)) !== null;
+}
+
+// Is valid mode
+function isValidMode(mode) {
+  return mode !== undefined && Object.prototype.hasOwnProperty.call(modes, mode);
+}
+
+// Get network orchestrator mode
+function getMode(network) {
+  const override = config.networks[network];
+  if (override !== undefined && override.mode !== undefined) return override.mode;
+
+  return cache[schema.networkKey(network) + '/orchestrator'];
+}
+
+// Get network selection policy
+function getPolicy(network) {
+  const override = config.networks[network];
+  if (override !== undefined && override.policy !== undefined) return override.policy;
+
+  return config.policy;
+}
+
+// Is connection established
+function isConnected(c) {
+  const consumer = getEnds(schema.capabilityKey(c.consumer, 'consumer', c.profile));
+
+  for (const connection in consumer) {
+    if (consumer[connection] === c.provider)
+      return true;
+  }
+  return false;
+}
+
+// Is context and node named
+function isNamed(context) {
+  return cache[context + '/name'] !== undefined &&
+    cache[schema.parse(context).prefix.node + '/name'] !== undefined;
+}
+
+// Get capabilities by context
+function getCapabilities(network, profile, role) {
+  const profiles = model.capabilities[network] || {};
+  const roles = profiles[profile] || {};
+
+  return roles[role] || {};
+}
+
+// Is matching scope
+function isMatchingScope(provider, pscope, consumer, cscope) {
+  // No scopes set?
+  if (!pscope && !cscope)
+    return provider === consumer;
+
+  // Provider scope must include consumer
+  if (pscope && !isInScope(pscope, consumer)) return false;
+
+  // Consumer scope must include provider
+  if (cscope && !isInScope(cscope, provider)) return false;
+
+  return true;
+}
+
+// Is context in scope
+function isInScope(scope, context) {
+  // Any listed pattern
+  return scope.split(',')
+    .map((pattern) => pattern.trim())
+    .some((pattern) => pattern !== '' && schema.matches(context, pattern));
+}
+
+// Get opposite role
+function getOppositeRole(role, provider) {
+  switch (role) {
+    case 'provider': if (provider === 'yes') return 'consumer'; break;
+    case 'consumer': if (provider !== 'yes') return 'provider'; break;
+  }
+  return null;
+}
+
+// Watch prefix
+async function watch(prefix, start) {
+  // Must be connected
+  if (client === undefined)
+    throw new Error(E_CONNECT);
+
+  const builder = client.watch().prefix(prefix);
+
+  // From revision?
+  if (start !== undefined)
+    builder.startRevision(String(start));
+
+  return await builder
+    .create()
+    .catch((e) => {
+      // Failure
+      measure('cns_orchestrator_etcd_errors_total', {operation: 'watch'});
+      throw new Error(E_WATCH + ': ' + e.message);
+    });
+}
+
+// Get all keys and revision
+async function all(prefix) {
+  // Simulating?
+  if (memory !== undefined) {
+    const result = {};
+
+    for (const key in memory) {
+      if (key.startsWith(prefix))
+        result[key] = memory[key];
+    }
+    return result;
+  }
+
+  // Must be connected
+  if (client === undefined)
+    throw new Error(E_CONNECT);
+
+  const res = await client.getAll()
+    .prefix(prefix)
+    .exec()
+    .catch((e) => {
+      // Failure
+      measure('cns_orchestrator_etcd_errors_total', {operation: 'all'});
+      throw new Error(E_ALL + ': ' + e.message);
+    });
+
+  // Note revision
+  revision = Number(res.header.revision);
+
+  const result = {};
+
+  for (const kv of res.kvs)
+    result[kv.key.toString()] = kv.value.toString();
+
+  return result;
+}
+
+// Get key value
+async function get(key) {
+  // Simulating?
+  if (memory !== undefined)
+    return (memory[key] !== undefined)?memory[key]:null;
+
+  // Must be connected
+  if (client === undefined)
+    throw new Error(E_CONNECT);
+
+  return await client.get(key)
+    .string()
+    .catch((e) => {
+      // Failure
+      measure('cns_orchestrator_etcd_errors_total', {operation: 'get'});
+      throw new Error(E_GET + ': ' + e.message);
+    });
+}
+
+// Put key value
+async function put(key, value) {
+  // Simulating?
+  if (memory !== undefined) {
+    expect(key, value);
+    return simulated({type: 'put', key: key, value: value});
+  }
+
+  // Must be connected
+  if (client === undefined)
+    throw new Error(E_CONNECT);
+
+  // Dry run?
+  if (options.dryrun)
+    return record({type: 'put', key: key, value: value});
+
+  // Expect it back
+  expect(key, value);
+
+  return await client.put(key)
+    .value(value)
+    .catch((e) => {
+      // Failure
+      unexpect(key, value);
+      measure('cns_orchestrator_etcd_errors_total', {operation: 'put'});
+      throw new Error(E_PUT + ': ' + e.message);
+    });
+}
+
+// Delete key
+async function del(key) {
+  // Simulating?
+  if (memory !== undefined)
+    return simulated({type: 'del', key: key});
+
+  // Must be connected
+  if (client === undefined)
+    throw new Error(E_CONNECT);
+
+  // Dry run?
+  if (options.dryrun)
+    return record({type: 'del', key: key});
+
+  return await client.delete()
+    .key(key)
+    .catch((e) => {
+      // Failure
+      measure('cns_orchestrator_etcd_errors_total', {operation: 'del'});
+      throw new Error(E_DEL + ': ' + e.message);
+    });
+}
+
+// Purge keys
+async function purge(prefix) {
+  // Simulating?
+  if (memory !== undefined)
+    return simulated({type: 'purge', key: prefix});
+
+  // Must be connected
+  if (client === undefined)
+    throw new Error(E_CONNECT);
+
+  // Dry run?
+  if (options.dryrun)
+    return record({type: 'purge', key: prefix});
+
+  return await client.delete()
+    .prefix(prefix)
+    .catch((e) => {
+      // Failure
+      measure('cns_orchestrator_etcd_errors_total', {operation: 'purge'});
+      throw new Error(E_PURGE + ': ' + e.message);
+    });
+}
+
+// Commit transaction
+async function transact(compares, operations) {
+  // Simulating?
+  if (memory !== undefined) {
+    if (!compares.every(compared)) return false;
+
+    expects(operations);
+    operations.forEach(simulated);
+    return true;
+  }
+
+  // Share write rate
+  if (!options.dryrun) await pace(operations.length);
+
+  // Must be connected
+  if (client === undefined)
+    throw new Error(E_CONNECT);
+
+  // Dry run?
+  if (options.dryrun) {
+    operations.forEach(record);
+    return true;
+  }
+
+  // Unconditional compares version that always holds
+  const conditions = (compares.length > 0)?compares:[[operations[0].key, 'Version', '>', -1]];
+
+  var txn;
+
+  // Add comparisons
+  for (const compare of conditions) {
+    txn = (txn === undefined)?
+      client.if(...compare):
+      txn.and(...compare);
+  }
+
+  // Add operations
+  const ops = operations.map((op) => {
+    switch (op.type) {
+      case 'put': return client.put(op.key).value(op.value);
+      case 'del': return client.delete().key(op.key);
+      case 'purge': return client.delete().prefix(op.key);
+    }
+    throw new Error(E_COMMIT + ': ' + op.type);
+  });
+
+  // Expect puts back
+  expects(operations);
+
+  const result = await txn
+    .then(...ops)
+    .commit()
+    .catch((e) => {
+      // Failure
+      unexpects(operations);
+      measure('cns_orchestrator_etcd_errors_total', {operation: 'commit'});
+      throw new Error(E_COMMIT + ': ' + e.message);
+    });
+
+  // Not written?
+  if (!result.succeeded) unexpects(operations);
+
+  return result.succeeded;
+}
+
+// Queue property write
+function enqueue(key, value, source) {
+  // Already holds value?
+  if (getLatest(key) === value) {
+    debug('  Unchanged ' + key, key);
+    measure('cns_orchestrator_writes_skipped_total');
+
+    delete queue[key];
+    return;
+  }
+
+  // Simulating or dry run?
+  if (memory !== undefined || options.dryrun) {
+    put(key, value)
+      .then(() => written(source))
+      .catch(error);
+    return;
+  }
+
+  // Replace older value
+  if (queue[key] !== undefined)
+    measure('cns_orchestrator_writes_coalesced_total');
+
+  queue[key] = {value: value, source: source};
+
+  // Start flushing
+  if (flushing === undefined)
+    flushing = flush().finally(() => {
+      flushing = undefined;
+    });
+}
+
+// Count property write
+function written(source) {
+  if (source !== undefined)
+    measure('cns_orchestrator_writes_total', {source: source});
+}
+
+// Write queue in batches
+async function flush() {
+  // Let writes gather
+  await new Promise((resolve) => setImmediate(resolve));
+
+  while (!isEmpty(queue)) {
+    // Lost lead?
+    if (!leader) {
+      queue = {};
+      return;
+    }
+
+    const batch = {};
+    var count = 0;
+
+    // Take next batch
+    for (const key in queue) {
+      if (count > 0 && count >= config.write_batch) break;
+
+      const entry = queue[key];
+      delete queue[key];
+
+      // Connection since removed?
+      if (isRemoved(key)) {
+        debug('  Dropped ' + key, key);
+        continue;
+      }
+
+      batch[key] = entry;
+      count++;
+    }
+
+    if (count === 0) continue;
+
+    const operations = [];
+
+    for (const key in batch)
+      operations.push({type: 'put', key: key, value: batch[key].value});
+
+    try {
+      // Write batch at once
+      if (await transact([], operations)) {
+        measure('cns_orchestrator_write_batches_total');
+
+        for (const key in batch)
+          written(batch[key].source);
+      }
+    } catch(e) {
+      // Failure
+      error(e);
+
+      // Retry unless replaced
+      for (const key in batch) {
+        if (queue[key] === undefined) queue[key] = batch[key];
+      }
+
+      // Gone away?
+      if (client === undefined) {
+        queue = {};
+        return;
+      }
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+    }
+  }
+}
+
+// Wait for turn at write rate
+async function pace(count) {
+  // Unlimited?
+  if (config.write_rate <= 0) return;
+
+  const now = Date.now();
+  const delay = paced - now;
+
+  // Book slot for writes
+  paced = Math.max(paced, now) + count * 1000 / config.write_rate;
+
+  if (delay > 0)
+    await new Promise((resolve) => setTimeout(resolve, delay));
+}
+
+// Get value key holds once sent writes land
+function getLatest(key) {
+  // Written but not seen?
+  const pending = echoes[key];
+  if (pending !== undefined) return pending[pending.length - 1];
+
+  return cache[key];
+}
+
+// Expect own write back
+function expect(key, value) {
+  if (echoes[key] === undefined) echoes[key] = [];
+  echoes[key].push(String(value));
+}
+
+// Write never happened
+function unexpect(key, value) {
+  const pending = echoes[key];
+  if (pending === undefined) return;
+
+  const n = pending.lastIndexOf(String(value));
+  if (n !== -1) pending.splice(n, 1);
+
+  if (pending.length === 0) delete echoes[key];
+}
+
+// Expect transaction puts back
+function expects(operations) {
+  for (const op of operations) {
+    if (op.type === 'put') expect(op.key, op.value);
+  }
+}
+
+// Transaction puts never happened
+function unexpects(operations) {
+  for (const op of operations) {
+    if (op.type === 'put') unexpect(op.key, op.value);
+  }
+}
+
+// Is put own write coming back
+function isEcho(key, value) {
+  const pending = echoes[key];
+  if (pending === undefined || pending[0] !== value) return false;
+
+  pending.shift();
+  if (pending.length === 0) delete echoes[key];
+
+  trace('  Echo ' + key, key);
+  measure('cns_orchestrator_echoes_total');
+
+  return true;
+}
+
+// Check for bouncing values
+function oscillates(key, value) {
+  const now = Date.now();
+  var seen = history[key];
 
-    // Set profile cache
-    profiles[name] = profile;
-  }
+  // Quiet for a while?
+  if (seen === undefined || now - seen.at > OSCILLATION_WINDOW)
+    seen = history[key] = {values: [], flips: 0};
 
-  // Not found?
-  if (profile === null)
-    throw new Error(E_FOUND + ': ' + name);
+  // Back to value before last?
+  const values = seen.values;
+  if (values.length === 2 && value === values[0] && value !== values[1]) seen.flips++;
 
-  return profile;
+  seen.values = values.slice(-1).concat(value);
+  seen.at = now;
+
+  // Report once
+  if (seen.flips !== OSCILLATION_FLIPS) return false;
+
+  warn('Oscillating ' + key + ' between ' + JSON.stringify(values[1]) + ' and ' + JSON.stringify(value), key);
+  measure('cns_orchestrator_oscillations_total');
+
+  return true;
 }
 
-// Get profile properties
-async function getProperties(name, version) {
-  // Get profile
-  const profile = await getProfile(name);
+// Is connection of key removed
+function isRemoved(key) {
+  const parsed = schema.parse(key);
+  if (parsed === null || parsed.prefix.connection === undefined) return false;
 
-  // Get properties
-  const versions = profile.versions || [];
-  const properties = versions['version' + version];
+  return cache[parsed.prefix.connection + '/' + schema.other(parsed.role)] === undefined;
+}
 
-  // Missing version?
-  if (properties === undefined)
-    throw new Error(E_FOUND + ': ' + name + ' v' + version);
+// Rebuild model from cache
+function reindex() {
+  model = {
+    networks: {},
+    capabilities: {},
+    properties: {},
+    connections: {}
+  };
 
-  return properties;
+  for (const key in cache)
+    index(key, cache[key]);
 }
 
-// Is provider property
-async function isProvider(profile, version, property) {
-  // Get profile properties
-  const properties = await getProperties(profile, version);
+// Add key to model
+function index(key, value) {
+  const found = locate(key);
+  if (found === null) return;
 
-  for (const name in properties) {
-    if (name === property)
-      return properties[name].provider;
+  const segments = found[1];
+  var tree = found[0];
+
+  for (var n = 0; n < segments.length - 1; n++) {
+    if (tree[segments[n]] === undefined) tree[segments[n]] = {};
+    tree = tree[segments[n]];
   }
-  return null;
+  tree[segments[segments.length - 1]] = value;
 }
 
-// Is valid mode
-function isValidMode(mode) {
-  // What mode?
-  switch (mode) {
-    case 'allsystems':
-    case 'bysystem':
-      return true;
+// Remove key from model
+function unindex(key) {
+  const found = locate(key);
+  if (found === null) return;
+
+  const segments = found[1];
+  const trees = [found[0]];
+
+  for (var n = 0; n < segments.length - 1; n++) {
+    const tree = trees[n][segments[n]];
+    if (tree === undefined) return;
+
+    trees.push(tree);
+  }
+
+  // Prune empty branches
+  for (var m = segments.length - 1; m >= 0; m--) {
+    delete trees[m][segments[m]];
+    if (!isEmpty(trees[m])) break;
   }
-  return false;
 }
 
-// Get opposite role
-function getOppositeRole(role, provider) {
-  switch (role) {
-    case 'provider': if (provider === 'yes') return 'consumer'; break;
-    case 'consumer': if (provider !== 'yes') return 'provider'; break;
+// Get model tree and segments of key
+function locate(key) {
+  const parsed = schema.parse(key);
+  if (parsed === null) return null;
+
+  switch (parsed.kind) {
+    case 'networkName':
+      // Network name
+      return [model.networks, [parsed.network]];
+    case 'version':
+      // Capability version
+      return [model.capabilities, [parsed.network, parsed.profile, parsed.role, parsed.prefix.context]];
+    case 'capabilityProperty':
+      // Capability property
+      return [model.properties, [parsed.prefix.capability, parsed.property]];
+    case 'end':
+      // Connection end
+      return [model.connections, [parsed.network, parsed.profile, parsed.prefix.capability, parsed.id]];
   }
   return null;
 }
 
-// Watch prefix
-async function watch(prefix) {
-  // Must be connected
-  if (client === undefined)
-    throw new Error(E_CONNECT);
+// Get connection ends of capability
+function getEnds(ns) {
+  const parsed = schema.parse(ns);
+  const profiles = model.connections[parsed.network] || {};
 
-  return await client.watch()
-    .prefix(prefix)
-    .create()
-    .catch((e) => {
-      // Failure
-      throw new Error(E_WATCH + ': ' + e.message);
-    });
+  return (profiles[parsed.profile] || {})[ns] || {};
 }
 
-// Get all keys
-async function all(prefix) {
-  // Must be connected
-  if (client === undefined)
-    throw new Error(E_CONNECT);
-
-  return await client.getAll()
-    .prefix(prefix)
-    .strings()
-    .catch((e) => {
-      // Failure
-      throw new Error(E_ALL + ': ' + e.message);
-    });
+// Is object empty
+function isEmpty(object) {
+  for (const name in object) return false;
+  return true;
 }
 
-// Get key value
-async function get(key) {
-  // Must be connected
-  if (client === undefined)
-    throw new Error(E_CONNECT);
+// Start admin server
+function serve() {
+  // No admin port?
+  if (config.admin === '') return;
 
-  return await client.get(key)
-    .string()
-    .catch((e) => {
+  server = http.createServer((req, res) => {
+    // Handle request
+    admin(req, res).catch((e) => {
       // Failure
-      throw new Error(E_GET + ': ' + e.message);
+      error(e);
+      reply(res, 500, {error: e.message});
     });
+  })
+  .on('error', (e) => {
+    // Failure
+    error(e);
+  });
+
+  server.listen(parseInt(config.admin), () => {
+    print('Admin on port ' + config.admin);
+  });
 }
 
-// Put key value
-async function put(key, value) {
-  // Must be connected
-  if (client === undefined)
-    throw new Error(E_CONNECT);
+// Handle admin request
+async function admin(req, res) {
+  const decode = new URL(req.url, 'http://localhost');
+  const parts = decode.pathname.split('/').filter((part) => part !== '');
 
-  return await client.put(key)
-    .value(value)
-    .catch((e) => {
-      // Failure
-      throw new Error(E_PUT + ': ' + e.message);
-    });
-}
+  const route = req.method + ' /' + (parts[0] || '');
+  const network = parts[1];
 
-// Delete key
-async function del(key) {
-  // Must be connected
-  if (client === undefined)
-    throw new Error(E_CONNECT);
+  // What route?
+  switch (route) {
+    case 'GET /healthz':
+      // Process alive
+      return reply(res, 200, {status: 'ok'});
+    case 'GET /readyz':
+      // Connected and watching
+      if (client === undefined || watcher === undefined)
+        return reply(res, 503, {status: 'not ready'});
+
+      return reply(res, 200, {status: 'ready'});
+    case 'GET /status':
+      // Orchestrator status
+      return reply(res, 200, getStatus());
+    case 'GET /connections':
+      // Connection state
+      return reply(res, 200, getConnections());
+    case 'GET /networks':
+      // Cached networks
+      if (network === undefined)
+        return reply(res, 200, Object.values(schema.query(cache, 'cns/*/name')));
+
+      // Cached network keys
+      return reply(res, 200, getNetwork(network));
+    case 'GET /profiles':
+      // Loaded profiles
+      return reply(res, 200, profiles);
+    case 'GET /metrics':
+      // Prometheus metrics
+      res.writeHead(200, {'Content-Type': 'text/plain; version=0.0.4'});
+      return res.end(getMetrics());
+    case 'GET /build':
+      // Last build result
+      return reply(res, 200, built || {});
+    case 'POST /rebuild':
+      // Standby?
+      if (!leader)
+        return reply(res, 409, {error: 'Not leader'});
 
-  return await client.delete()
-    .key(key)
-    .catch((e) => {
-      // Failure
-      throw new Error(E_DEL + ': ' + e.message);
-    });
+      rebuild();
+      return reply(res, 202, {status: 'scheduled'});
+  }
+  reply(res, 404, {error: E_FOUND + ': ' + req.method + ' ' + decode.pathname});
 }
 
-// Purge keys
-async function purge(prefix) {
-  // Must be connected
-  if (client === undefined)
-    throw new Error(E_CONNECT);
+// Send admin reply
+function reply(res, status, data) {
+  res.writeHead(status, {'Content-Type': 'application/json'});
+  res.end(JSON.stringify(data, null, 2) + '\n');
+}
 
-  return await client.delete()
-    .prefix(prefix)
-    .catch((e) => {
-      // Failure
-      throw new Error(E_PURGE + ': ' + e.message);
-    });
+// Add to metric
+function measure(name, labels, value) {
+  const key = JSON.stringify(labels || {});
+
+  if (metrics[name] === undefined) metrics[name] = {};
+  metrics[name][key] = (metrics[name][key] || 0) + ((value !== undefined)?value:1);
 }
 
-// Filter keys
-function filter(keys, filter) {
-  const result = {};
-  const filters = filter.split('/');
+// Observe summary metric
+function observe(name, value) {
+  measure(name + '_sum', undefined, value);
+  measure(name + '_count');
+}
+
+// Get metrics text
+function getMetrics() {
+  // Cache size per network
+  const keys = {};
+
+  for (const key in cache) {
+    const parsed = schema.parse(key);
+    if (parsed === null) continue;
 
-  for (const key in keys) {
-    if (compare(key, filters))
-      result[key] = keys[key];
+    keys[parsed.network] = (keys[parsed.network] || 0) + 1;
   }
-  return result;
+
+  metrics.cns_orchestrator_cache_keys = {};
+
+  for (const network in keys)
+    metrics.cns_orchestrator_cache_keys[JSON.stringify({network: network})] = keys[network];
+
+  // Pending writes
+  metrics.cns_orchestrator_write_queue_depth = {};
+  metrics.cns_orchestrator_write_queue_depth[JSON.stringify({})] = Object.keys(queue).length;
+
+  // Endpoint availability
+  metrics.cns_orchestrator_endpoint_up = {};
+
+  for (const host in endpoints)
+    metrics.cns_orchestrator_endpoint_up[JSON.stringify({endpoint: host})] = endpoints[host]?1:0;
+
+  var text = '';
+
+  for (const name in METRICS) {
+    const type = METRICS[name][0];
+    const help = METRICS[name][1];
+
+    text += '# HELP ' + name + ' ' + help + '\n';
+    text += '# TYPE ' + name + ' ' + type + '\n';
+
+    // Summaries have sum and count
+    const series = (type === 'summary')?[name + '_sum', name + '_count']:[name];
+
+    for (const metric of series) {
+      const values = metrics[metric] || {};
+
+      for (const key in values) {
+        const labels = JSON.parse(key);
+        const pairs = Object.keys(labels).map((label) => label + '="' + String(labels[label]).replace(/["\\]/g, '\\$&') + '"');
+
+        text += metric + (pairs.length?('{' + pairs.join(',') + '}'):'') + ' ' + values[key] + '\n';
+      }
+    }
+  }
+  return text;
 }
 
-// Compare key with filters
-function compare(key, filters) {
-  const keys = key.split('/');
+// Get orchestrator status
+function getStatus() {
+  return {
+    version: pack.version,
+    identity: identity,
+    leader: (leader === true),
+    connected: (client !== undefined),
+    endpoint: endpoint,
+    endpoints: endpoints,
+    building: (building === true),
+    queue: Object.keys(queue).length,
+    keys: Object.keys(cache || {}).length
+  };
+}
 
-  if (keys.length === filters.length) {
-    for (var n = 0; n < keys.length; n++)
-      if (!match(keys[n], filters[n])) return false;
+// Get connection state
+function getConnections() {
+  const result = [];
 
-    return true;
+  // Look through provider connections
+  const provided = schema.query(cache, 'cns/*/nodes/*/contexts/*/provider/*/connections/*/consumer');
+
+  for (const key in provided) {
+    const parsed = schema.parse(key);
+
+    const consumer = provided[key];
+    const other = schema.connectionKey(schema.capabilityKey(consumer, 'consumer', parsed.profile), parsed.id);
+
+    result.push({
+      id: parsed.id,
+      network: parsed.network,
+      profile: parsed.profile,
+      provider: parsed.prefix.context,
+      consumer: consumer,
+      complete: cache[other + '/provider'] !== undefined,
+      status: cache[parsed.prefix.connection + '/status'],
+      created: cache[parsed.prefix.connection + '/meta/created']
+    });
   }
-  return false;
+  return result;
 }
 
-// Wilcard match
-function match(text, filter) {
-  const esc = (s) => s.replace(/([.*+?^=!:${}()|\[\]\/\\])/g, '\\$1');
-  return new RegExp('^' + filter.split('*').map(esc).join('.*') + '$', 'i').test(text);
+// Get network keys
+function getNetwork(network) {
+  const result = {};
+  const prefix = schema.networkKey(network) + '/';
+
+  for (const key in cache) {
+    if (key.startsWith(prefix))
+      result[key] = cache[key];
+  }
+  return result;
 }
 
 // Get http request
@@ -1010,6 +3306,24 @@ function response(res) {
 
 // Disconnect client
 async function disconnect() {
+  // Resign leader?
+  if (candidate !== undefined) {
+    debug('Resigning...');
+
+    election = undefined;
+
+    await candidate.resign().catch((e) => debug(e.message));
+    candidate = undefined;
+  }
+
+  // Close observer?
+  if (observer !== undefined) {
+    await observer.cancel();
+    observer = undefined;
+  }
+
+  leader = false;
+
   // Close watcher?
   if (watcher !== undefined) {
     debug('Unwatching...');
@@ -1026,37 +3340,274 @@ async function disconnect() {
     client = undefined;
   }
 
+  endpoint = undefined;
+  endpoints = {};
+
   // Clear cache
   profiles = {};
   cache = {};
+  queue = {};
+  echoes = {};
+  history = {};
+
+  reindex();
+}
+
+// Load config file
+async function loadConfig(file) {
+  var data;
+
+  try {
+    data = await loadFile(file);
+  } catch(e) {
+    // Unreadable
+    throw new Error(E_SETTINGS + ': ' + file + ': ' + e.message);
+  }
+  return validateConfig(file, data);
+}
+
+// Validate config file
+function validateConfig(file, data) {
+  // Invalid setting
+  const fail = (reason) => {
+    throw new Error(E_SETTINGS + ': ' + file + ': ' + reason);
+  };
+
+  if (typeof data !== 'object' || data === null || Array.isArray(data)) fail('not an object');
+
+  const settings = {};
+
+  // Check settings
+  for (const name in data) {
+    const value = data[name];
+
+    switch (SETTINGS[name]) {
+      case 'string':
+        if (typeof value !== 'string' && typeof value !== 'number') fail(name + ' must be a string');
+        settings[name] = String(value);
+        break;
+      case 'hosts':
+        if (Array.isArray(value) && value.every((host) => typeof host === 'string'))
+          settings[name] = value.join(',');
+        else if (typeof value === 'string') settings[name] = value;
+        else fail(name + ' must be a string or list of strings');
+        break;
+      case 'number':
+        if (!Number.isInteger(value) || value < 0) fail(name + ' must be a non-negative integer');
+        settings[name] = value;
+        break;
+      case 'policy':
+        if (policies[value] === undefined) fail(name + ' must be one of ' + Object.keys(policies).join(', '));
+        settings[name] = value;
+        break;
+      case 'level':
+        if (!LEVELS.includes(value)) fail(name + ' must be one of ' + LEVELS.join(', '));
+        settings[name] = value;
+        break;
+      case 'flag':
+        if (typeof value === 'boolean') value = value?'yes':'no';
+        if (value !== 'yes' && value !== 'no') fail(name + ' must be yes or no');
+        settings[name] = value;
+        break;
+      case 'format':
+        if (!FORMATS.includes(value)) fail(name + ' must be one of ' + FORMATS.join(', '));
+        settings[name] = value;
+        break;
+      case 'networks':
+        if (typeof value !== 'object' || value === null || Array.isArray(value)) fail(name + ' must be an object');
+        settings[name] = validateNetworks(value, fail);
+        break;
+      default:
+        // Unknown setting
+        fail('unknown setting ' + name);
+    }
+  }
+  return settings;
+}
+
+// Validate network overrides
+function validateNetworks(networks, fail) {
+  for (const network in networks) {
+    const override = networks[network];
+    const at = 'networks.' + network;
+
+    if (typeof override !== 'object' || override === null || Array.isArray(override)) fail(at + ' must be an object');
+
+    for (const name in override) {
+      const value = override[name];
+
+      switch (name) {
+        case 'mode':
+          if (!isValidMode(value)) fail(at + '.mode must be one of ' + Object.keys(modes).join(', '));
+          break;
+        case 'policy':
+          if (policies[value] === undefined) fail(at + '.policy must be one of ' + Object.keys(policies).join(', '));
+          break;
+        default:
+          // Unknown override
+          fail('unknown setting ' + at + '.' + name);
+      }
+    }
+  }
+  return networks;
+}
+
+// Apply config file settings
+function configure(settings, names) {
+  for (const name of names) {
+    const value = settings[name];
+
+    switch (name) {
+      case 'networks':
+        // Network overrides
+        config.networks = value || {};
+        break;
+      default:
+        // File or environment
+        config[name] = (value !== undefined)?value:environment[name];
+        break;
+    }
+  }
+}
+
+// Reload config file
+async function reload() {
+  // No config file?
+  if (config.config_file === '') {
+    print('No config file to reload.');
+    return;
+  }
+
+  print('Reloading config.');
+
+  try {
+    const settings = await loadConfig(config.config_file);
+
+    const profiles1 = config.profiles;
+    const fallback1 = config.fallback;
+
+    // Apply safe settings
+    configure(settings, RELOADABLE);
+
+    // Options still override file
+    parse(cli.slice());
+
+    // Report the rest
+    for (const name in SETTINGS) {
+      if (RELOADABLE.includes(name)) continue;
+
+      if (JSON.stringify(settings[name]) !== JSON.stringify(loaded[name]))
+        warn('Restart to apply ' + name + '.');
+    }
+
+    // Profile source changed?
+    if (config.profiles !== profiles1 || config.fallback !== fallback1) {
+      print('Profiles from ' + config.profiles + '.');
+
+      // Stop watching profiles?
+      if (monitor !== undefined) {
+        monitor.close();
+        monitor = undefined;
+      }
+
+      profiles = {};
+
+      watchProfiles();
+      rebuild();
+    }
+  } catch(e) {
+    // Keep previous config
+    error(e);
+  }
 }
 
 // Terminate application
 async function exit(code) {
   cancel();
 
+  // Stop watching profiles?
+  if (monitor !== undefined) {
+    monitor.close();
+    monitor = undefined;
+  }
+
+  // Stop admin server?
+  if (server !== undefined) {
+    server.close();
+    server = undefined;
+  }
+
   if (client !== undefined)
     await disconnect();
 
   process.exit(code);
 }
 
-// Log text to console
-function print(text) {
-  if (!options.silent)
-    console.log(text.green);
+// Log info to console
+function print(text, key) {
+  log('info', text, key);
+}
+
+// Log warning to console
+function warn(text, key) {
+  log('warn', text, key);
 }
 
 // Log debug to console
-function debug(text) {
-  if (options.debug)
-    console.debug(text.magenta);
+function debug(text, key) {
+  log('debug', text, key);
+}
+
+// Log trace to console
+function trace(text, key) {
+  log('trace', text, key);
 }
 
 // Log error to console
-function error(e) {
-  console.error(e.message.red);
-  debug(e.stack);
+function error(e, key) {
+  log('error', e.message, key);
+  debug(e.stack, key);
+}
+
+// Log at level
+function log(level, text, key) {
+  // Below log level? Errors always logged
+  if (level !== 'error' && LEVELS.indexOf(level) > LEVELS.indexOf(config.log_level)) return;
+
+  const stream = (level === 'error' || level === 'warn')?process.stderr:process.stdout;
+
+  // Plain text?
+  if (config.log_format !== 'json') {
+    stream.write(text[COLOURS[level]] + '\n');
+    return;
+  }
+
+  const record = {
+    timestamp: new Date().toISOString(),
+    level: level
+  };
+
+  // Add key fields
+  if (key !== undefined)
+    Object.assign(record, getFields(key));
+
+  record.message = text;
+
+  stream.write(JSON.stringify(record) + '\n');
+}
+
+// Get log fields from key
+function getFields(key) {
+  const parsed = schema.parse(key);
+  if (parsed === null) return {};
+
+  return {
+    network: parsed.network,
+    node: parsed.node,
+    context: parsed.context,
+    profile: parsed.profile,
+    connection: parsed.id
+  };
 }
 
 // Catch terminate signal
@@ -1065,5 +3616,30 @@ process.on('SIGINT', () => {
   exit(1);
 });
 
-// Start application
-main(process.argv.slice(2));
+process.on('SIGTERM', () => {
+  print('Terminated.');
+  exit(0);
+});
+
+// Catch refresh signal
+process.on('SIGUSR2', () => {
+  refresh();
+});
+
+// Catch reload signal
+process.on('SIGHUP', () => {
+  reload();
+});
+
+// Start application when run
+if (require.main === module) main(process.argv.slice(2));
+
+// Exports for tests
+
+module.exports = {
+  config: config,
+  main: main,
+  disconnect: disconnect,
+  getStatus: getStatus,
+  getMetrics: getMetrics
+};
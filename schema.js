@@ -0,0 +1,278 @@
+// schema.js - CNS key schema
+// Copyright 2025 Padi, Inc. All Rights Reserved.
+
+'use strict';
+
+// Errors
+
+const E_KEY = 'Invalid key';
+
+// Key layout
+//
+// cns/<network>/name                                   networkName
+// cns/<network>/orchestrator                           orchestrator
+// cns/<network>/orchestrator/status/<name>             networkStatus
+// cns/<network>/nodes/<node>/name                      nodeName
+// .../nodes/<node>/contexts/<context>/name             contextName
+// .../contexts/<context>/<role>/<profile>/version      version
+// .../<role>/<profile>/scope                           scope
+// .../<role>/<profile>/properties/<property>           capabilityProperty
+// .../<role>/<profile>/connections/<id>/<other role>   end
+// .../connections/<id>/status                          status
+// .../connections/<id>/properties/<property>           connectionProperty
+// .../connections/<id>/meta/<name>                     connectionMeta
+//
+// Prefixes parse as network, node, context, capability
+// and connection. Anything else under a network is other.
+
+const ROOT = 'cns';
+
+const ROLES = ['provider', 'consumer'];
+
+// Local functions
+
+// Parse key or prefix
+function parse(key) {
+  const parts = key.split('/');
+
+  // Must be under a network
+  if (parts[0] !== ROOT || parts.length < 2) return null;
+  if (parts.some((part) => part === '')) return null;
+
+  const result = {
+    kind: 'other',
+    network: parts[1],
+    prefix: {
+      network: parts.slice(0, 2).join('/')
+    }
+  };
+
+  switch (parts.length) {
+    case 2:
+      result.kind = 'network';
+      return result;
+    case 3:
+      if (parts[2] === 'name') result.kind = 'networkName';
+      if (parts[2] === 'orchestrator') result.kind = 'orchestrator';
+      return result;
+    case 5:
+      if (parts[2] === 'orchestrator' && parts[3] === 'status') {
+        result.kind = 'networkStatus';
+        result.name = parts[4];
+      }
+      break;
+  }
+
+  // Node keys
+  if (parts[2] !== 'nodes') return result;
+
+  result.node = parts[3];
+  result.prefix.node = parts.slice(0, 4).join('/');
+
+  switch (parts.length) {
+    case 4:
+      result.kind = 'node';
+      return result;
+    case 5:
+      if (parts[4] === 'name') result.kind = 'nodeName';
+      return result;
+  }
+
+  // Context keys
+  if (parts[4] !== 'contexts') return result;
+
+  result.context = parts[5];
+  result.prefix.context = parts.slice(0, 6).join('/');
+
+  switch (parts.length) {
+    case 6:
+      result.kind = 'context';
+      return result;
+    case 7:
+      if (parts[6] === 'name') result.kind = 'contextName';
+      return result;
+  }
+
+  // Capability keys
+  if (!ROLES.includes(parts[6])) return result;
+
+  result.role = parts[6];
+  result.profile = parts[7];
+  result.prefix.capability = parts.slice(0, 8).join('/');
+
+  switch (parts.length) {
+    case 8:
+      result.kind = 'capability';
+      return result;
+    case 9:
+      if (parts[8] === 'version') result.kind = 'version';
+      if (parts[8] === 'scope') result.kind = 'scope';
+      return result;
+    case 10:
+      if (parts[8] === 'properties') {
+        result.kind = 'capabilityProperty';
+        result.property = parts[9];
+      }
+      break;
+  }
+
+  // Connection keys
+  if (parts[8] !== 'connections') return result;
+
+  result.id = parts[9];
+  result.prefix.connection = parts.slice(0, 10).join('/');
+
+  switch (parts.length) {
+    case 10:
+      result.kind = 'connection';
+      break;
+    case 11:
+      if (parts[10] === other(result.role)) {
+        result.kind = 'end';
+        result.other = parts[10];
+      }
+      if (parts[10] === 'status') result.kind = 'status';
+      break;
+    case 12:
+      if (parts[10] === 'properties') {
+        result.kind = 'connectionProperty';
+        result.property = parts[11];
+      }
+      if (parts[10] === 'meta') {
+        result.kind = 'connectionMeta';
+        result.name = parts[11];
+      }
+      break;
+  }
+  return result;
+}
+
+// Check key is well formed
+function validate(key) {
+  const parsed = (typeof key === 'string')?parse(key):null;
+
+  if (parsed === null)
+    throw new Error(E_KEY + ': ' + key);
+
+  return parsed;
+}
+
+// Get other role
+function other(role) {
+  return (role === 'provider')?'consumer':'provider';
+}
+
+// Network prefix
+function networkKey(network) {
+  return ROOT + '/' + segment(network);
+}
+
+// Node prefix
+function nodeKey(network, node) {
+  return networkKey(network) + '/nodes/' + segment(node);
+}
+
+// Context prefix
+function contextKey(network, node, context) {
+  return nodeKey(network, node) + '/contexts/' + segment(context);
+}
+
+// Network status prefix
+function statusKey(network) {
+  return networkKey(network) + '/orchestrator/status';
+}
+
+// Capability prefix under context
+function capabilityKey(context, role, profile) {
+  if (!ROLES.includes(role))
+    throw new Error(E_KEY + ': ' + context + '/' + role);
+
+  return context + '/' + role + '/' + segment(profile);
+}
+
+// Connection prefix under capability
+function connectionKey(capability, id) {
+  return capability + '/connections/' + segment(id);
+}
+
+// Check key segment
+function segment(name) {
+  if (typeof name !== 'string' || name === '' || name.includes('/'))
+    throw new Error(E_KEY + ': segment ' + name);
+
+  return name;
+}
+
+// Select keys matching pattern
+function query(keys, pattern) {
+  const result = {};
+  const patterns = pattern.split('/');
+
+  // No wildcard?
+  const star = patterns.indexOf('*');
+
+  if (star === -1) {
+    if (keys[pattern] !== undefined) result[pattern] = keys[pattern];
+    return result;
+  }
+
+  // Literal leading segments
+  const prefix = (star > 0)?(patterns.slice(0, star).join('/') + '/'):'';
+
+  for (const key in keys) {
+    if (!key.startsWith(prefix)) continue;
+
+    const parts = key.split('/');
+    if (parts.length !== patterns.length) continue;
+
+    var n = star;
+    while (n < parts.length && (patterns[n] === '*' || patterns[n] === parts[n])) n++;
+
+    if (n === parts.length) result[key] = keys[key];
+  }
+  return result;
+}
+
+// Wildcard match
+function matches(text, pattern) {
+  const pieces = pattern.split('*');
+
+  // No wildcard?
+  if (pieces.length === 1) return text === pattern;
+
+  const first = pieces[0];
+  const last = pieces[pieces.length - 1];
+
+  if (!text.startsWith(first) || !text.endsWith(last)) return false;
+  if (text.length < first.length + last.length) return false;
+
+  // Middle pieces in order
+  var at = first.length;
+  const end = text.length - last.length;
+
+  for (var n = 1; n < pieces.length - 1; n++) {
+    const found = text.indexOf(pieces[n], at);
+    if (found === -1 || found + pieces[n].length > end) return false;
+
+    at = found + pieces[n].length;
+  }
+  return true;
+}
+
+// Exports
+
+module.exports = {
+  E_KEY: E_KEY,
+  ROLES: ROLES,
+  parse: parse,
+  validate: validate,
+  other: other,
+  networkKey: networkKey,
+  nodeKey: nodeKey,
+  contextKey: contextKey,
+  statusKey: statusKey,
+  capabilityKey: capabilityKey,
+  connectionKey: connectionKey,
+  query: query,
+  matches: matches
+};
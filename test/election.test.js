@@ -0,0 +1,162 @@
+// election.test.js - Leader election failover
+// Copyright 2025 Padi, Inc. All Rights Reserved.
+
+'use strict';
+
+// Imports
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const etcd = require('./etcd');
+const app = require('../index');
+const {registry} = require('./simulate');
+
+// Connection ends in the tree
+
+const PROVIDER = 'cns/lab/nodes/a/contexts/x/provider/light/connections/c1';
+const CONSUMER = 'cns/lab/nodes/b/contexts/x/consumer/light/connections/c1';
+
+// Local functions
+
+// Wait for timers
+function tick() {
+  return new Promise((resolve) => setTimeout(resolve, 10));
+}
+
+// Get metric value
+function metric(name) {
+  const line = app.getMetrics().split('\n').find((line) => line.startsWith(name + ' '));
+  return (line !== undefined)?Number(line.split(' ')[1]):0;
+}
+
+// Tests
+
+test('leader election', async (t) => {
+  Object.assign(app.config, {
+    host: 'http://localhost:2379',
+    election: 'test',
+    election_ttl: 0,
+    debounce: 0,
+    connect_timeout: 100,
+    log_level: 'error'
+  });
+
+  await app.main([]);
+
+  const client = etcd.Etcd3.clients[etcd.Etcd3.clients.length - 1];
+  const election = client.elections[0];
+
+  t.after(() => app.disconnect());
+
+  await t.test('campaigns under cns as standby', () => {
+    assert.strictEqual(election.name, 'test');
+    assert.strictEqual(election.campaigns.length, 1);
+    assert.strictEqual(app.getStatus().leader, false);
+  });
+
+  await t.test('leads once elected', async () => {
+    election.campaigns[0].emit('elected');
+    await tick();
+
+    assert.strictEqual(app.getStatus().leader, true);
+  });
+
+  await t.test('stands by when lease is lost', () => {
+    election.campaigns[0].emit('error', new Error('lease lost'));
+
+    assert.strictEqual(app.getStatus().leader, false);
+  });
+
+  await t.test('campaigns again and takes over', async () => {
+    await tick();
+
+    assert.strictEqual(election.campaigns.length, 2);
+
+    election.campaigns[1].emit('elected');
+    await tick();
+
+    assert.strictEqual(app.getStatus().leader, true);
+  });
+
+  await t.test('resigns on disconnect', async () => {
+    await app.disconnect();
+
+    assert.strictEqual(election.campaigns[1].resigned, true);
+    assert.strictEqual(app.getStatus().leader, false);
+    assert.strictEqual(client.closed, true);
+  });
+});
+
+test('leader takeover', async (t) => {
+  etcd.Etcd3.keys = {
+    'cns/lab/name': 'lab',
+    'cns/lab/orchestrator': 'bysystem',
+    'cns/lab/nodes/a/name': 'a',
+    'cns/lab/nodes/a/contexts/x/name': 'x',
+    'cns/lab/nodes/a/contexts/x/provider/light/version': '1',
+    'cns/lab/nodes/a/contexts/x/provider/light/properties/level': '5',
+    [PROVIDER + '/consumer']: 'cns/lab/nodes/b/contexts/x',
+    [PROVIDER + '/properties/level']: '5',
+    'cns/lab/nodes/b/name': 'b',
+    'cns/lab/nodes/b/contexts/x/name': 'x',
+    'cns/lab/nodes/b/contexts/x/consumer/light/version': '1',
+    [CONSUMER + '/provider']: 'cns/lab/nodes/a/contexts/x',
+    [CONSUMER + '/properties/level']: '3'
+  };
+
+  Object.assign(app.config, {
+    host: 'http://localhost:2379',
+    profiles: await registry(t),
+    election: 'test',
+    election_ttl: 0,
+    debounce: 0,
+    write_rate: 0,
+    connect_timeout: 100,
+    log_level: 'error'
+  });
+
+  await app.main([]);
+
+  const client = etcd.Etcd3.clients[etcd.Etcd3.clients.length - 1];
+  const election = client.elections[0];
+
+  t.after(() => app.disconnect());
+
+  await t.test('drops queued writes when lease is lost', async () => {
+    election.campaigns[0].emit('elected');
+    election.campaigns[0].emit('error', new Error('lease lost'));
+    await tick();
+
+    assert.deepStrictEqual(client.transactions, []);
+    assert.strictEqual(app.getStatus().queue, 0);
+
+    // Dropped writes are not counted
+    assert.strictEqual(metric('cns_orchestrator_writes_total{source="update"}'), 0);
+  });
+
+  await t.test('mirrors properties changed on standby', async () => {
+    await tick();
+
+    election.campaigns[1].emit('elected');
+    await tick();
+
+    assert.strictEqual(client.keys[CONSUMER + '/properties/level'], '5');
+    assert.strictEqual(metric('cns_orchestrator_writes_total{source="update"}'), 1);
+  });
+
+  await t.test('keeps a network named election', async () => {
+    const keys = app.getStatus().keys;
+    const put = (key, value) => client.watchers[0].emit('put', {
+      key: Buffer.from(key),
+      value: Buffer.from(value),
+      mod_revision: '2'
+    });
+
+    put('cns/election/name', 'election');
+    put('cns/election/test/694d77aa', 'orchestrator-1');
+    await tick();
+
+    assert.strictEqual(app.getStatus().keys, keys + 1);
+  });
+});
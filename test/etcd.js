@@ -0,0 +1,178 @@
+// etcd.js - In memory etcd3 client for tests
+// Copyright 2025 Padi, Inc. All Rights Reserved.
+
+'use strict';
+
+// Imports
+
+const EventEmitter = require('events');
+const etcd = require('etcd3');
+
+// Fake client
+
+class Etcd3 {
+  constructor(options) {
+    this.options = options;
+    this.keys = Object.assign({}, Etcd3.keys);
+    this.revision = 1;
+    this.elections = [];
+    this.watchers = [];
+    this.transactions = [];
+
+    Etcd3.clients.push(this);
+  }
+
+  // Keys under prefix
+  getAll() {
+    return {
+      prefix: (prefix) => ({
+        exec: async () => ({
+          kvs: Object.keys(this.keys)
+            .filter((key) => key.startsWith(prefix))
+            .map((key) => ({key: Buffer.from(key), value: Buffer.from(this.keys[key])})),
+          header: {revision: String(this.revision)}
+        })
+      })
+    };
+  }
+
+  // Record put
+  put(key) {
+    return {
+      value: (value) => ({type: 'put', key: key, value: String(value)})
+    };
+  }
+
+  // Record delete
+  delete() {
+    return {
+      key: (key) => ({type: 'del', key: key}),
+      prefix: (prefix) => ({type: 'purge', key: prefix})
+    };
+  }
+
+  // Record transaction, writes always succeed
+  if(key, column, cmp, value) {
+    const txn = {
+      compares: [[key, column, cmp, value]],
+      and: (...compare) => {
+        txn.compares.push(compare);
+        return txn;
+      },
+      then: (...operations) => {
+        txn.operations = operations;
+        return txn;
+      },
+      commit: async () => {
+        txn.committed = Date.now();
+        this.transactions.push(txn);
+
+        for (const op of txn.operations) {
+          switch (op.type) {
+            case 'put':
+              this.keys[op.key] = op.value;
+              break;
+            case 'del':
+              delete this.keys[op.key];
+              break;
+            case 'purge':
+              for (const key in this.keys)
+                if (key.startsWith(op.key)) delete this.keys[key];
+              break;
+          }
+        }
+
+        return {succeeded: true};
+      }
+    };
+    return txn;
+  }
+
+  // Watch nothing
+  watch() {
+    var start;
+
+    const builder = {
+      prefix: () => builder,
+      startRevision: (revision) => {
+        start = revision;
+        return builder;
+      },
+      create: async () => {
+        const watcher = new EventEmitter();
+
+        watcher.startRevision = start;
+
+        // Never ends once cancelled by server
+        watcher.cancel = () => watcher.cancelled?new Promise(() => {}):Promise.resolve();
+
+        this.watchers.push(watcher);
+        return watcher;
+      }
+    };
+    return builder;
+  }
+
+  // Server cancels watcher
+  cancelWatcher(watcher, reason) {
+    watcher.cancelled = true;
+    watcher.emit('error', new Error('Watcher canceled: ' + reason));
+  }
+
+  namespace() {
+    return this;
+  }
+
+  election(name, ttl) {
+    const election = new Election(name, ttl);
+
+    this.elections.push(election);
+    return election;
+  }
+
+  async close() {
+    this.closed = true;
+  }
+}
+
+Etcd3.clients = [];
+Etcd3.keys = {};
+
+// Fake election
+
+class Election {
+  constructor(name, ttl) {
+    this.name = name;
+    this.ttl = ttl;
+    this.campaigns = [];
+  }
+
+  async observe() {
+    const observer = new EventEmitter();
+
+    observer.cancel = async () => {};
+    return observer;
+  }
+
+  campaign(value) {
+    const campaign = new EventEmitter();
+
+    campaign.value = value;
+    campaign.resign = async () => {
+      campaign.resigned = true;
+    };
+
+    this.campaigns.push(campaign);
+    return campaign;
+  }
+}
+
+// Replace etcd3 for later requires
+const fake = Object.assign({}, etcd, {Etcd3: Etcd3});
+const file = require.resolve('etcd3');
+
+require.cache[file].exports = fake;
+
+// Exports
+
+module.exports = fake;
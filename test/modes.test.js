@@ -0,0 +1,131 @@
+// modes.test.js - Orchestrator modes against a key tree fixture
+// Copyright 2025 Padi, Inc. All Rights Reserved.
+
+'use strict';
+
+// Imports
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {fixture, simulate, connections} = require('./simulate');
+
+// Contexts in the tree
+
+const AX = 'cns/lab/nodes/a/contexts/x';
+const AY = 'cns/lab/nodes/a/contexts/y';
+const BX = 'cns/lab/nodes/b/contexts/x';
+const CX = 'cns/lab/nodes/c/contexts/x';
+const DZ = 'cns/lab/nodes/d/contexts/z';
+const EX = 'cns/shop/nodes/e/contexts/x';
+
+// Local functions
+
+// Simulate lab network in mode
+function run(t, mode, policy, events) {
+  const tree = fixture('modes');
+  tree.cns.lab.orchestrator = mode;
+
+  return simulate(t, tree, (policy !== undefined)?['-S', policy]:[], events);
+}
+
+// Tests
+
+test('bysystem connects matching contexts in the network', (t) => {
+  assert.deepStrictEqual(connections(run(t, 'bysystem')), [
+    AX + ' -> ' + AY,
+    AX + ' -> ' + CX,
+    BX + ' -> ' + AY,
+    BX + ' -> ' + CX
+  ]);
+});
+
+test('allsystems also connects consumers in other networks', (t) => {
+  assert.deepStrictEqual(connections(run(t, 'allsystems')), [
+    AX + ' -> ' + AY,
+    AX + ' -> ' + CX,
+    AX + ' -> ' + EX,
+    BX + ' -> ' + AY,
+    BX + ' -> ' + CX,
+    BX + ' -> ' + EX
+  ]);
+});
+
+test('bynode only connects contexts on the same node', (t) => {
+  assert.deepStrictEqual(connections(run(t, 'bynode')), [
+    AX + ' -> ' + AY
+  ]);
+});
+
+test('onetoone gives each consumer one provider', (t) => {
+  const pairs = connections(run(t, 'onetoone'));
+  const consumers = pairs.map((pair) => pair.split(' -> ')[1]);
+  const providers = pairs.map((pair) => pair.split(' -> ')[0]);
+
+  assert.deepStrictEqual(consumers.sort(), [AY, CX]);
+
+  // Balanced spreads the load
+  assert.deepStrictEqual(providers.sort(), [AX, BX]);
+});
+
+test('onetoone first policy picks the first provider', (t) => {
+  assert.deepStrictEqual(connections(run(t, 'onetoone', 'first')), [
+    AX + ' -> ' + AY,
+    AX + ' -> ' + CX
+  ]);
+});
+
+test('manual keeps existing connections and adds none', (t) => {
+  assert.deepStrictEqual(connections(run(t, 'manual')), [
+    AX + ' -> ' + DZ
+  ]);
+});
+
+test('unknown mode is left alone', (t) => {
+  assert.deepStrictEqual(connections(run(t, 'nonsense')), [
+    AX + ' -> ' + DZ
+  ]);
+});
+
+test('deleted context name tears down and reconnects when put again', (t) => {
+  assert.deepStrictEqual(connections(run(t, 'bysystem', undefined, [
+    {delete: AX + '/name'}
+  ])), [
+    BX + ' -> ' + AY,
+    BX + ' -> ' + CX
+  ]);
+
+  assert.deepStrictEqual(connections(run(t, 'bysystem', undefined, [
+    {delete: AX + '/name'},
+    {put: AX + '/name', value: 'x'}
+  ])), [
+    AX + ' -> ' + AY,
+    AX + ' -> ' + CX,
+    BX + ' -> ' + AY,
+    BX + ' -> ' + CX
+  ]);
+});
+
+test('onetoone consumer fails over when its provider node goes', (t) => {
+  for (const policy of ['balanced', 'first']) {
+    assert.deepStrictEqual(connections(run(t, 'onetoone', policy, [
+      {delete: 'cns/lab/nodes/a/name'}
+    ])), [
+      BX + ' -> ' + CX
+    ], policy);
+  }
+});
+
+test('allsystems connects a consumer network named again', (t) => {
+  assert.deepStrictEqual(connections(run(t, 'allsystems', undefined, [
+    {delete: 'cns/shop/name'},
+    {put: 'cns/shop/name', value: 'shop'}
+  ])), [
+    AX + ' -> ' + AY,
+    AX + ' -> ' + CX,
+    AX + ' -> ' + EX,
+    BX + ' -> ' + AY,
+    BX + ' -> ' + CX,
+    BX + ' -> ' + EX
+  ]);
+});
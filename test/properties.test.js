@@ -0,0 +1,77 @@
+// properties.test.js - Connection property defaults
+// Copyright 2025 Padi, Inc. All Rights Reserved.
+
+'use strict';
+
+// Imports
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const schema = require('../schema');
+const {simulate, debug, connections} = require('./simulate');
+
+// Local functions
+
+// Network with one provider and consumer
+function network(profile, properties) {
+  const context = (role, extra) => ({
+    name: 'x',
+    [role]: {[profile]: Object.assign({version: 1}, extra)}
+  });
+
+  return {
+    cns: {
+      lab: {
+        name: 'lab',
+        orchestrator: 'bysystem',
+        nodes: {
+          a: {name: 'a', contexts: {x: context('provider', {properties: properties})}},
+          b: {name: 'b', contexts: {x: context('consumer')}}
+        }
+      }
+    }
+  };
+}
+
+// Get connection properties of both ends
+function copied(keys) {
+  const result = [];
+
+  for (const key in keys) {
+    const parsed = schema.parse(key);
+
+    if (parsed !== null && parsed.kind === 'connectionProperty')
+      result.push(parsed.role + ' ' + parsed.property + '=' + keys[key]);
+  }
+  return result.sort();
+}
+
+// Tests
+
+test('defined properties are copied to both ends', (t) => {
+  const keys = simulate(t, network('light', {level: 5}));
+
+  assert.deepStrictEqual(copied(keys), ['consumer level=5', 'provider level=5']);
+});
+
+test('undefined properties stay local', (t) => {
+  const keys = simulate(t, network('light', {level: 5, extra: 1}));
+
+  assert.deepStrictEqual(copied(keys), ['consumer level=5', 'provider level=5']);
+  assert.strictEqual(keys['cns/lab/nodes/a/contexts/x/provider/light/properties/extra'], '1');
+});
+
+test('unknown profile copies no properties', (t) => {
+  const keys = simulate(t, network('ghost', {level: 5}));
+
+  assert.deepStrictEqual(connections(keys), ['cns/lab/nodes/a/contexts/x -> cns/lab/nodes/b/contexts/x']);
+  assert.deepStrictEqual(copied(keys), []);
+});
+
+test('own writes are not mirrored again', (t) => {
+  const {keys, logs} = debug(t, network('light', {level: 5}));
+
+  assert.deepStrictEqual(copied(keys), ['consumer level=5', 'provider level=5']);
+  assert.deepStrictEqual(logs.filter((log) => log.message === 'Updating...'), []);
+});
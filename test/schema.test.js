@@ -0,0 +1,202 @@
+// schema.test.js - Key schema
+// Copyright 2025 Padi, Inc. All Rights Reserved.
+
+'use strict';
+
+// Imports
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const schema = require('../schema');
+
+// Keys
+
+const CONTEXT = 'cns/lab/nodes/a/contexts/x';
+const CAPABILITY = CONTEXT + '/provider/light';
+const CONNECTION = CAPABILITY + '/connections/c1';
+
+// Tests
+
+test('parse', async (t) => {
+  await t.test('classifies well formed keys', () => {
+    const kinds = {
+      'cns/lab': 'network',
+      'cns/lab/name': 'networkName',
+      'cns/lab/orchestrator': 'orchestrator',
+      'cns/lab/orchestrator/status/built': 'networkStatus',
+      'cns/lab/nodes/a': 'node',
+      'cns/lab/nodes/a/name': 'nodeName',
+      [CONTEXT]: 'context',
+      [CONTEXT + '/name']: 'contextName',
+      [CAPABILITY]: 'capability',
+      [CAPABILITY + '/version']: 'version',
+      [CAPABILITY + '/scope']: 'scope',
+      [CAPABILITY + '/properties/level']: 'capabilityProperty',
+      [CONNECTION]: 'connection',
+      [CONNECTION + '/consumer']: 'end',
+      [CONNECTION + '/status']: 'status',
+      [CONNECTION + '/properties/level']: 'connectionProperty',
+      [CONNECTION + '/meta/created']: 'connectionMeta'
+    };
+
+    for (const key in kinds)
+      assert.strictEqual(schema.parse(key).kind, kinds[key], key);
+  });
+
+  await t.test('extracts segments and prefixes', () => {
+    const parsed = schema.parse(CONNECTION + '/properties/level');
+
+    assert.strictEqual(parsed.network, 'lab');
+    assert.strictEqual(parsed.node, 'a');
+    assert.strictEqual(parsed.context, 'x');
+    assert.strictEqual(parsed.role, 'provider');
+    assert.strictEqual(parsed.profile, 'light');
+    assert.strictEqual(parsed.id, 'c1');
+    assert.strictEqual(parsed.property, 'level');
+
+    assert.deepStrictEqual(parsed.prefix, {
+      network: 'cns/lab',
+      node: 'cns/lab/nodes/a',
+      context: CONTEXT,
+      capability: CAPABILITY,
+      connection: CONNECTION
+    });
+  });
+
+  await t.test('rejects keys outside cns', () => {
+    assert.strictEqual(schema.parse(''), null);
+    assert.strictEqual(schema.parse('cns'), null);
+    assert.strictEqual(schema.parse('etc/lab/name'), null);
+    assert.strictEqual(schema.parse('CNS/lab/name'), null);
+  });
+
+  await t.test('rejects empty segments', () => {
+    assert.strictEqual(schema.parse('/cns/lab/name'), null);
+    assert.strictEqual(schema.parse('cns/lab/name/'), null);
+    assert.strictEqual(schema.parse('cns//name'), null);
+    assert.strictEqual(schema.parse('cns/lab/nodes//name'), null);
+  });
+
+  await t.test('treats wrong roles as other', () => {
+    const parsed = schema.parse(CONTEXT + '/server/light/version');
+
+    assert.strictEqual(parsed.kind, 'other');
+    assert.strictEqual(parsed.role, undefined);
+    assert.strictEqual(schema.parse(CAPABILITY + '/connections/c1/provider').kind, 'other');
+  });
+
+  await t.test('treats too short keys as prefixes or other', () => {
+    assert.strictEqual(schema.parse('cns/lab/nodes').kind, 'other');
+    assert.strictEqual(schema.parse('cns/lab/nodes/a/contexts').kind, 'other');
+    assert.strictEqual(schema.parse(CONTEXT + '/provider').kind, 'other');
+    assert.strictEqual(schema.parse(CAPABILITY + '/properties').kind, 'other');
+    assert.strictEqual(schema.parse(CAPABILITY + '/connections').kind, 'other');
+    assert.strictEqual(schema.parse(CONNECTION + '/properties').kind, 'other');
+  });
+
+  await t.test('treats too long keys as other', () => {
+    assert.strictEqual(schema.parse('cns/lab/name/more').kind, 'other');
+    assert.strictEqual(schema.parse('cns/lab/orchestrator/status/built/more').kind, 'other');
+    assert.strictEqual(schema.parse(CONTEXT + '/name/more').kind, 'other');
+    assert.strictEqual(schema.parse(CAPABILITY + '/version/more').kind, 'other');
+    assert.strictEqual(schema.parse(CAPABILITY + '/properties/level/more').kind, 'other');
+    assert.strictEqual(schema.parse(CONNECTION + '/properties/level/more').kind, 'other');
+  });
+});
+
+test('validate', async (t) => {
+  await t.test('returns parsed key', () => {
+    assert.strictEqual(schema.validate(CAPABILITY + '/version').kind, 'version');
+  });
+
+  await t.test('throws on malformed keys', () => {
+    for (const key of ['', 'lab/name', 'cns//name', 'cns/lab/', undefined, null, 42])
+      assert.throws(() => schema.validate(key), new RegExp('^Error: ' + schema.E_KEY), String(key));
+  });
+});
+
+test('builders', async (t) => {
+  await t.test('build keys that parse back', () => {
+    const context = schema.contextKey('lab', 'a', 'x');
+    const capability = schema.capabilityKey(context, 'provider', 'light');
+
+    assert.strictEqual(context, CONTEXT);
+    assert.strictEqual(schema.connectionKey(capability, 'c1'), CONNECTION);
+    assert.strictEqual(schema.statusKey('lab'), 'cns/lab/orchestrator/status');
+  });
+
+  await t.test('reject bad segments and roles', () => {
+    assert.throws(() => schema.networkKey(''), /Invalid key/);
+    assert.throws(() => schema.nodeKey('lab', 'a/b'), /Invalid key/);
+    assert.throws(() => schema.contextKey('lab', 'a', undefined), /Invalid key/);
+    assert.throws(() => schema.capabilityKey(CONTEXT, 'server', 'light'), /Invalid key/);
+  });
+
+  await t.test('get other role', () => {
+    assert.strictEqual(schema.other('provider'), 'consumer');
+    assert.strictEqual(schema.other('consumer'), 'provider');
+  });
+});
+
+test('query', async (t) => {
+  const keys = {
+    'cns/lab/name': 'lab',
+    'cns/shop/name': 'shop',
+    'cns/lab/nodes/a/name': 'a',
+    [CAPABILITY + '/version']: '1',
+    [CONTEXT + '/consumer/light/version']: '2'
+  };
+
+  await t.test('matches whole segments', () => {
+    assert.deepStrictEqual(schema.query(keys, 'cns/*/name'), {'cns/lab/name': 'lab', 'cns/shop/name': 'shop'});
+    assert.deepStrictEqual(Object.keys(schema.query(keys, CONTEXT + '/*/light/version')).length, 2);
+    assert.deepStrictEqual(schema.query(keys, 'cns/lab/nodes/*/name'), {'cns/lab/nodes/a/name': 'a'});
+  });
+
+  await t.test('matches star at position 0', () => {
+    assert.deepStrictEqual(schema.query(keys, '*/lab/name'), {'cns/lab/name': 'lab'});
+    assert.deepStrictEqual(Object.keys(schema.query(keys, '*/*/name')).sort(), ['cns/lab/name', 'cns/shop/name']);
+  });
+
+  await t.test('needs the same number of segments', () => {
+    assert.deepStrictEqual(schema.query(keys, 'cns/*'), {});
+    assert.deepStrictEqual(schema.query(keys, 'cns/*/name/more'), {});
+  });
+
+  await t.test('looks up patterns without stars', () => {
+    assert.deepStrictEqual(schema.query(keys, 'cns/lab/name'), {'cns/lab/name': 'lab'});
+    assert.deepStrictEqual(schema.query(keys, 'cns/none/name'), {});
+  });
+
+  await t.test('does not match partial segments', () => {
+    assert.deepStrictEqual(schema.query(keys, 'cns/l*/name'), {});
+  });
+});
+
+test('matches', async (t) => {
+  await t.test('compares without stars', () => {
+    assert.strictEqual(schema.matches('site', 'site'), true);
+    assert.strictEqual(schema.matches('site', 'Site'), false);
+    assert.strictEqual(schema.matches('site-1', 'site'), false);
+  });
+
+  await t.test('matches stars anywhere', () => {
+    assert.strictEqual(schema.matches('site-1', 'site-*'), true);
+    assert.strictEqual(schema.matches('site-1', '*-1'), true);
+    assert.strictEqual(schema.matches('site-1', '*'), true);
+    assert.strictEqual(schema.matches('', '*'), true);
+    assert.strictEqual(schema.matches('site-a-1', 'site-*-1'), true);
+    assert.strictEqual(schema.matches('site-1', 's*t*1'), true);
+  });
+
+  await t.test('does not overlap pieces', () => {
+    assert.strictEqual(schema.matches('ab', 'ab*ab'), false);
+    assert.strictEqual(schema.matches('abab', 'ab*ab'), true);
+    assert.strictEqual(schema.matches('site-1', 'site-*-2'), false);
+  });
+
+  await t.test('is case sensitive', () => {
+    assert.strictEqual(schema.matches('Site-1', 'site-*'), false);
+  });
+});
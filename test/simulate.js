@@ -0,0 +1,119 @@
+// simulate.js - Run simulations for tests
+// Copyright 2025 Padi, Inc. All Rights Reserved.
+
+'use strict';
+
+// Imports
+
+const assert = require('node:assert');
+const child = require('child_process');
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const schema = require('../schema');
+
+// Fixtures
+
+const INDEX = path.join(__dirname, '..', 'index.js');
+const FIXTURES = path.join(__dirname, 'fixtures');
+const PROFILES = 'file://' + path.join(FIXTURES, 'profiles');
+
+// Local functions
+
+// Load fixture tree
+function fixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES, name + '.json')));
+}
+
+// Simulate tree and events and get resulting keys
+function simulate(t, tree, args, events) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cns-test-'));
+  t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+
+  const snapshot = path.join(dir, 'snapshot.json');
+  fs.writeFileSync(snapshot, JSON.stringify(tree));
+
+  const argv = [INDEX, 'simulate', snapshot];
+
+  // Replay events?
+  if (events !== undefined) {
+    const file = path.join(dir, 'events.json');
+    fs.writeFileSync(file, JSON.stringify(events));
+
+    argv.push(file);
+  }
+
+  argv.push('-R', PROFILES, ...(args || []));
+
+  return JSON.parse(child.execFileSync(process.execPath, argv, {encoding: 'utf8'}));
+}
+
+// Simulate tree and get keys and debug log
+function debug(t, tree) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cns-test-'));
+  t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+
+  const snapshot = path.join(dir, 'snapshot.json');
+  const output = path.join(dir, 'output.json');
+
+  fs.writeFileSync(snapshot, JSON.stringify(tree));
+
+  const argv = [INDEX, 'simulate', snapshot, '-R', PROFILES, '-o', output, '-l', 'debug', '-L', 'json'];
+  const text = child.execFileSync(process.execPath, argv, {encoding: 'utf8'});
+
+  return {
+    keys: JSON.parse(fs.readFileSync(output)),
+    logs: text.split('\n').filter((line) => line !== '').map((line) => JSON.parse(line))
+  };
+}
+
+// Get provider to consumer pairs
+function connections(keys) {
+  const result = [];
+
+  for (const key in keys) {
+    const parsed = schema.parse(key);
+    if (parsed === null || parsed.kind !== 'end' || parsed.role !== 'provider') continue;
+
+    // Consumer end must point back
+    const back = schema.connectionKey(schema.capabilityKey(keys[key], 'consumer', parsed.profile), parsed.id) + '/provider';
+    assert.strictEqual(keys[back], parsed.prefix.context, 'consumer end of ' + key);
+
+    result.push(parsed.prefix.context + ' -> ' + keys[key]);
+  }
+  return result.sort();
+}
+
+// Serve fixture profiles
+function registry(t) {
+  const server = http.createServer((req, res) => {
+    const file = path.join(FIXTURES, 'profiles', path.basename(req.url) + '.json');
+
+    if (!fs.existsSync(file)) {
+      res.writeHead(404);
+      return res.end();
+    }
+    res.end(fs.readFileSync(file));
+  });
+
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => {
+    resolve('http://127.0.0.1:' + server.address().port + '/profiles');
+  }));
+}
+
+// Exports
+
+module.exports = {
+  fixture: fixture,
+  registry: registry,
+  simulate: simulate,
+  debug: debug,
+  connections: connections
+};
@@ -0,0 +1,75 @@
+// status.test.js - Network status area
+// Copyright 2025 Padi, Inc. All Rights Reserved.
+
+'use strict';
+
+// Imports
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const etcd = require('./etcd');
+const app = require('../index');
+
+// Local functions
+
+// Wait for timers
+function tick() {
+  return new Promise((resolve) => setTimeout(resolve, 50));
+}
+
+// Tests
+
+test('network status', async (t) => {
+  etcd.Etcd3.keys = {
+    'cns/lab/name': 'lab',
+    'cns/lab/orchestrator': 'bysystem',
+    'cns/shop/name': 'shop',
+    'cns/yard/name': 'yard',
+    'cns/yard/orchestrator': 'nonsense'
+  };
+
+  Object.assign(app.config, {
+    host: 'http://localhost:2379',
+    election: '',
+    debounce: 0,
+    connect_timeout: 100,
+    log_level: 'error'
+  });
+
+  await t.test('is off by default', async () => {
+    assert.strictEqual(app.config.status, 'no');
+
+    await app.main([]);
+    await tick();
+
+    const client = etcd.Etcd3.clients[etcd.Etcd3.clients.length - 1];
+    assert.deepStrictEqual(client.transactions, []);
+
+    await app.disconnect();
+  });
+
+  await t.test('is written for orchestrated networks', async () => {
+    app.config.status = 'yes';
+
+    await app.main([]);
+    await tick();
+
+    const client = etcd.Etcd3.clients[etcd.Etcd3.clients.length - 1];
+    const keys = Object.keys(client.keys).filter((key) => key.includes('/orchestrator/status/'));
+
+    assert.deepStrictEqual(keys.sort(), [
+      'cns/lab/orchestrator/status/built',
+      'cns/lab/orchestrator/status/connections',
+      'cns/lab/orchestrator/status/error',
+      'cns/lab/orchestrator/status/orchestrator',
+      'cns/lab/orchestrator/status/pending',
+      'cns/lab/orchestrator/status/release'
+    ]);
+
+    assert.strictEqual(client.keys['cns/lab/orchestrator/status/connections'], '0');
+    assert.strictEqual(client.keys['cns/lab/orchestrator/status/error'], '');
+
+    await app.disconnect();
+  });
+});
@@ -0,0 +1,58 @@
+// versions.test.js - Version compatibility
+// Copyright 2025 Padi, Inc. All Rights Reserved.
+
+'use strict';
+
+// Imports
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {simulate, connections} = require('./simulate');
+
+// Local functions
+
+// Network with dimmer capabilities
+function network(capabilities) {
+  const nodes = {};
+
+  for (const node in capabilities) {
+    const [role, version] = capabilities[node];
+
+    nodes[node] = {
+      name: node,
+      contexts: {
+        x: {
+          name: 'x',
+          [role]: {dimmer: {version: version, properties: {level: 5}}}
+        }
+      }
+    };
+  }
+  return {cns: {lab: {name: 'lab', orchestrator: 'bysystem', nodes: nodes}}};
+}
+
+// Tests
+
+test('compatible range connects defined versions', (t) => {
+  const keys = simulate(t, network({
+    a: ['provider', 1],
+    b: ['consumer', 2]
+  }));
+
+  assert.deepStrictEqual(connections(keys), [
+    'cns/lab/nodes/a/contexts/x -> cns/lab/nodes/b/contexts/x'
+  ]);
+});
+
+test('compatible range skips undefined versions', (t) => {
+  const keys = simulate(t, network({
+    a: ['provider', 1],
+    b: ['consumer', 7],
+    c: ['consumer', 1]
+  }));
+
+  assert.deepStrictEqual(connections(keys), [
+    'cns/lab/nodes/a/contexts/x -> cns/lab/nodes/c/contexts/x'
+  ]);
+});
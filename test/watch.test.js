@@ -0,0 +1,120 @@
+// watch.test.js - Watcher recovery
+// Copyright 2025 Padi, Inc. All Rights Reserved.
+
+'use strict';
+
+// Imports
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const etcd = require('./etcd');
+const app = require('../index');
+const {registry} = require('./simulate');
+
+// Contexts in the tree
+
+const AX = 'cns/lab/nodes/a/contexts/x';
+const BX = 'cns/lab/nodes/b/contexts/x';
+const DZ = 'cns/lab/nodes/d/contexts/z';
+
+// Connection ends in the tree
+
+const PROVIDER = AX + '/provider/light/connections/old';
+const CONSUMER = DZ + '/consumer/light/connections/old';
+
+// Local functions
+
+// Wait for timers
+function tick() {
+  return new Promise((resolve) => setTimeout(resolve, 10));
+}
+
+// Wait until check holds
+async function until(check) {
+  for (var n = 0; n < 100 && !check(); n++)
+    await tick();
+}
+
+// Get connections made
+function connected(client) {
+  return Object.keys(client.keys)
+    .filter((key) => key.endsWith('/consumer') && key.includes('/provider/light/connections/'))
+    .map((key) => client.keys[key])
+    .sort();
+}
+
+// Tests
+
+test('watcher recovery', async (t) => {
+  etcd.Etcd3.keys = {
+    'cns/lab/name': 'lab',
+    'cns/lab/orchestrator': 'manual',
+    'cns/lab/nodes/a/name': 'a',
+    [AX + '/name']: 'x',
+    [AX + '/provider/light/version']: '1',
+    [PROVIDER + '/consumer']: DZ,
+    'cns/lab/nodes/d/name': 'd',
+    [DZ + '/name']: 'z',
+    [DZ + '/consumer/light/version']: '1',
+    [CONSUMER + '/provider']: AX
+  };
+
+  Object.assign(app.config, {
+    host: 'http://localhost:2379',
+    profiles: await registry(t),
+    election: '',
+    debounce: 0,
+    connect_timeout: 100,
+    log_level: 'error'
+  });
+
+  await app.main([]);
+
+  const client = etcd.Etcd3.clients[etcd.Etcd3.clients.length - 1];
+
+  t.after(() => app.disconnect());
+
+  await t.test('follows from loaded revision', () => {
+    assert.strictEqual(client.watchers.length, 1);
+    assert.strictEqual(client.watchers[0].startRevision, '2');
+  });
+
+  await t.test('resyncs after compaction', async () => {
+    // Missed while compacted
+    client.revision = 7;
+    client.keys['cns/lab/orchestrator'] = 'bysystem';
+    client.keys['cns/lab/nodes/b/name'] = 'b';
+    client.keys[BX + '/name'] = 'x';
+    client.keys[BX + '/consumer/light/version'] = '1';
+    delete client.keys[CONSUMER + '/provider'];
+
+    client.cancelWatcher(client.watchers[0], 'mvcc: required revision has been compacted');
+    await tick();
+
+    assert.strictEqual(client.watchers.length, 2);
+    assert.strictEqual(client.watchers[1].startRevision, '8');
+
+    // Replayed delete removes other end
+    assert.strictEqual(client.keys[PROVIDER + '/consumer'], undefined);
+
+    // Rebuild connects new consumer
+    await until(() => connected(client).length > 0);
+
+    assert.deepStrictEqual(connected(client), [BX]);
+  });
+
+  await t.test('follows again after other cancels', async () => {
+    client.watchers[1].emit('put', {
+      key: Buffer.from('cns/lab/nodes/c/name'),
+      value: Buffer.from('c'),
+      mod_revision: '9'
+    });
+
+    client.cancelWatcher(client.watchers[1], 'permission denied');
+    await tick();
+
+    assert.strictEqual(client.watchers.length, 3);
+    assert.strictEqual(client.watchers[2].startRevision, '10');
+  });
+});
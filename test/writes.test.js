@@ -0,0 +1,67 @@
+// writes.test.js - Write rate shared by all writes
+// Copyright 2025 Padi, Inc. All Rights Reserved.
+
+'use strict';
+
+// Imports
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const etcd = require('./etcd');
+const app = require('../index');
+const {registry} = require('./simulate');
+
+// Local functions
+
+// Wait for timers
+function tick() {
+  return new Promise((resolve) => setTimeout(resolve, 10));
+}
+
+// Context with light capability
+function context(node, role) {
+  const ns = 'cns/lab/nodes/' + node;
+
+  return {
+    [ns + '/name']: node,
+    [ns + '/contexts/x/name']: 'x',
+    [ns + '/contexts/x/' + role + '/light/version']: '1'
+  };
+}
+
+// Tests
+
+test('new connections share the write rate', async (t) => {
+  etcd.Etcd3.keys = Object.assign({
+    'cns/lab/name': 'lab',
+    'cns/lab/orchestrator': 'bysystem'
+  }, context('a', 'provider'), context('b', 'consumer'), context('c', 'consumer'));
+
+  Object.assign(app.config, {
+    host: 'http://localhost:2379',
+    profiles: await registry(t),
+    election: '',
+    debounce: 0,
+    write_rate: 50,
+    connect_timeout: 100,
+    log_level: 'error'
+  });
+
+  await app.main([]);
+
+  const client = etcd.Etcd3.clients[etcd.Etcd3.clients.length - 1];
+
+  t.after(() => app.disconnect());
+
+  for (var n = 0; n < 100 && client.transactions.length < 2; n++)
+    await tick();
+
+  const [first, second] = client.transactions;
+
+  assert.strictEqual(client.transactions.length, 2);
+
+  // Second waits for keys of first
+  const gap = second.committed - first.committed;
+  assert.ok(gap >= first.operations.length * 1000 / 50 - 5, 'gap ' + gap + 'ms');
+});